@@ -0,0 +1,88 @@
+import { LightningElement, api } from "lwc";
+
+// Title and icon for each event type in Document_Request_Event__c
+const EVENT_DISPLAY = {
+  Created: { label: "Request created", icon: "utility:new" },
+  Email_Sent: { label: "Email sent", icon: "utility:email" },
+  Email_Failed: { label: "Email failed", icon: "utility:warning" },
+  Reminder_Sent: { label: "Reminder sent", icon: "utility:notification" },
+  Token_Validated: { label: "Link opened", icon: "utility:link" },
+  File_Uploaded: { label: "File uploaded", icon: "utility:upload" },
+  Review_Started: { label: "Review started", icon: "utility:preview" },
+  File_Approved: { label: "File approved", icon: "utility:success" },
+  File_Rejected: { label: "File rejected", icon: "utility:error" },
+  Sent_Back: { label: "Sent back to recipient", icon: "utility:reply" },
+  Files_Committed: { label: "Files committed", icon: "utility:record_create" },
+  Request_Approved: { label: "Request approved", icon: "utility:approval" },
+  Request_Rejected: { label: "Request rejected", icon: "utility:close" },
+  Extended: { label: "Link extended", icon: "utility:date_time" },
+  Reissued: { label: "Link reissued", icon: "utility:refresh" },
+  Expired: { label: "Link expired", icon: "utility:clock" },
+  Status_Changed: {
+    label: "Status changed",
+    icon: "utility:change_record_type"
+  },
+  Verification_Sent: { label: "Verification code sent", icon: "utility:lock" },
+  Identity_Verified: { label: "Identity verified", icon: "utility:unlock" },
+  Verification_Locked: { label: "Verification locked", icon: "utility:ban" },
+  File_Quarantined: { label: "File quarantined", icon: "utility:shield" }
+};
+
+// Events shown before the list is expanded
+const COLLAPSED_COUNT = 10;
+
+/**
+ * Shows who did what on a document request, newest first, from the events
+ * returned by DocumentRequestService.getRequestEvents.
+ */
+export default class DocReqActivityTimeline extends LightningElement {
+  @api events = [];
+
+  showAll = false;
+
+  get entries() {
+    const events = this.showAll
+      ? this.events || []
+      : (this.events || []).slice(0, COLLAPSED_COUNT);
+    return events.map((event) => {
+      const display = EVENT_DISPLAY[event.eventType] || {
+        label: event.eventType,
+        icon: "utility:record"
+      };
+      return {
+        key: event.id,
+        title: display.label,
+        icon: display.icon,
+        date: event.eventDate,
+        actor: this.actorLabel(event),
+        details: event.details
+      };
+    });
+  }
+
+  get hasEntries() {
+    return this.events && this.events.length > 0;
+  }
+
+  get canExpand() {
+    return !this.showAll && this.events?.length > COLLAPSED_COUNT;
+  }
+
+  get expandLabel() {
+    return `Show all ${this.events.length} events`;
+  }
+
+  actorLabel(event) {
+    if (event.actorType === "System") {
+      return "System";
+    }
+    if (event.actorType === "Recipient") {
+      return `Recipient (${event.actorName})`;
+    }
+    return event.actorName;
+  }
+
+  handleShowAll() {
+    this.showAll = true;
+  }
+}
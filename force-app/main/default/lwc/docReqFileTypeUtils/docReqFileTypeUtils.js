@@ -0,0 +1,105 @@
+/**
+ * Client-side file type checks for the Document Request guest portal.
+ * Reads the first bytes of a file (its signature) and checks them against the
+ * file's extension, so a renamed file is refused before it is uploaded. The
+ * server runs the same check in DocumentFileTypeService; keep the tables in step.
+ *
+ * Usage:
+ *   import { getFileTypeMismatchReason } from 'c/docReqFileTypeUtils';
+ *   const reason = await getFileTypeMismatchReason(file);
+ */
+
+const TYPE_PDF = "application/pdf";
+const TYPE_PNG = "image/png";
+const TYPE_JPEG = "image/jpeg";
+const TYPE_GIF = "image/gif";
+const TYPE_TIFF = "image/tiff";
+// Office Open XML documents (docx, xlsx, pptx) are zip archives
+const TYPE_ZIP = "application/zip";
+// Older Office documents (doc, xls, ppt) and Outlook messages
+const TYPE_OLE = "application/x-ole-storage";
+const TYPE_EXECUTABLE = "application/x-executable";
+
+// Enough for the longest signature
+const HEADER_BYTES = 12;
+
+// Hex signatures for each type, in the order they are tried
+const SIGNATURES = [
+  [TYPE_PDF, ["25504446"]],
+  [TYPE_PNG, ["89504e470d0a1a0a"]],
+  [TYPE_JPEG, ["ffd8ff"]],
+  [TYPE_GIF, ["474946383761", "474946383961"]],
+  [TYPE_TIFF, ["49492a00", "4d4d002a"]],
+  [TYPE_ZIP, ["504b0304"]],
+  [TYPE_OLE, ["d0cf11e0a1b11ae1"]],
+  // Windows (MZ) and Linux (ELF) programs
+  [TYPE_EXECUTABLE, ["4d5a", "7f454c46"]]
+];
+
+// Types each extension may hold. Extensions not listed (e.g. txt, csv) have
+// no signature to check and are only refused if they hold a program.
+const EXTENSION_TYPES = {
+  pdf: [TYPE_PDF],
+  png: [TYPE_PNG],
+  jpg: [TYPE_JPEG],
+  jpeg: [TYPE_JPEG],
+  gif: [TYPE_GIF],
+  tif: [TYPE_TIFF],
+  tiff: [TYPE_TIFF],
+  docx: [TYPE_ZIP],
+  xlsx: [TYPE_ZIP],
+  pptx: [TYPE_ZIP],
+  zip: [TYPE_ZIP],
+  doc: [TYPE_OLE],
+  xls: [TYPE_OLE],
+  ppt: [TYPE_OLE],
+  msg: [TYPE_OLE]
+};
+
+function readHeaderHex(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const bytes = new Uint8Array(reader.result);
+      resolve(
+        Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")
+      );
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file.slice(0, HEADER_BYTES));
+  });
+}
+
+/**
+ * Detects a file's type from its first bytes.
+ * @param {Blob} file
+ * @returns {Promise<string|null>} MIME type, or null if the signature is not known
+ */
+export async function detectFileType(file) {
+  const header = await readHeaderHex(file);
+  const match = SIGNATURES.find(([, signatures]) =>
+    signatures.some((signature) => header.startsWith(signature))
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Returns why a file's content does not match its extension, or null if it does.
+ * @param {File} file
+ * @returns {Promise<string|null>}
+ */
+export async function getFileTypeMismatchReason(file) {
+  const extension = file.name.includes(".")
+    ? file.name.split(".").pop().toLowerCase()
+    : "";
+  const detectedType = await detectFileType(file);
+
+  if (detectedType === TYPE_EXECUTABLE) {
+    return "Programs cannot be uploaded.";
+  }
+  const expectedTypes = EXTENSION_TYPES[extension];
+  if (expectedTypes && !expectedTypes.includes(detectedType)) {
+    return `The content of this file is not a valid .${extension} file.`;
+  }
+  return null;
+}
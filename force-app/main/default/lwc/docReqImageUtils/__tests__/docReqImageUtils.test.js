@@ -0,0 +1,153 @@
+import { buildPdfFromImages } from "c/docReqImageUtils";
+import { TextDecoder, TextEncoder } from "util";
+
+// Pixel sizes of the test photos, by object URL
+const imageSizes = new Map();
+
+// Encoded size of a photo: the canvas area scaled by the JPEG quality
+const BYTES_PER_PIXEL = 0.1;
+
+function createPhoto(name, width, height) {
+  imageSizes.set(name, { width, height });
+  return new File(["photo"], name, { type: "image/jpeg" });
+}
+
+function fakeJpeg(size) {
+  const data = new Uint8Array(size);
+  data.set([0xff, 0xd8]);
+  return { size, arrayBuffer: () => Promise.resolve(data.buffer) };
+}
+
+function readFile(file) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () =>
+      resolve(new TextDecoder("latin1").decode(reader.result));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+describe("c-doc-req-image-utils", () => {
+  let toBlob;
+  const originals = {};
+
+  beforeAll(() => {
+    originals.Image = window.Image;
+    originals.TextEncoder = global.TextEncoder;
+    originals.createObjectURL = URL.createObjectURL;
+    originals.revokeObjectURL = URL.revokeObjectURL;
+    originals.getContext = HTMLCanvasElement.prototype.getContext;
+    originals.toBlob = HTMLCanvasElement.prototype.toBlob;
+
+    global.TextEncoder = TextEncoder;
+    URL.createObjectURL = (file) => file.name;
+    URL.revokeObjectURL = () => {};
+    window.Image = class {
+      set src(url) {
+        const { width, height } = imageSizes.get(url);
+        this.naturalWidth = width;
+        this.naturalHeight = height;
+        Promise.resolve().then(() => this.onload());
+      }
+    };
+    HTMLCanvasElement.prototype.getContext = () => ({
+      fillRect: () => {},
+      drawImage: () => {}
+    });
+  });
+
+  beforeEach(() => {
+    toBlob = jest.fn(function (callback, type, quality) {
+      callback(
+        fakeJpeg(
+          Math.round(this.width * this.height * quality * BYTES_PER_PIXEL)
+        )
+      );
+    });
+    HTMLCanvasElement.prototype.toBlob = toBlob;
+  });
+
+  afterEach(() => {
+    imageSizes.clear();
+  });
+
+  afterAll(() => {
+    window.Image = originals.Image;
+    global.TextEncoder = originals.TextEncoder;
+    URL.createObjectURL = originals.createObjectURL;
+    URL.revokeObjectURL = originals.revokeObjectURL;
+    HTMLCanvasElement.prototype.getContext = originals.getContext;
+    HTMLCanvasElement.prototype.toBlob = originals.toBlob;
+  });
+
+  describe("buildPdfFromImages", () => {
+    it("writes one page per photo with a cross-reference table that points at each object", async () => {
+      const pdf = await buildPdfFromImages(
+        [createPhoto("wide.jpg", 400, 300), createPhoto("tall.jpg", 300, 400)],
+        { fileName: "photos.pdf" }
+      );
+
+      expect(pdf.name).toBe("photos.pdf");
+      expect(pdf.type).toBe("application/pdf");
+      const text = await readFile(pdf);
+      expect(text.startsWith("%PDF-1.4\n")).toBe(true);
+      expect(text).toContain("/Kids [3 0 R 6 0 R] /Count 2");
+      expect(text).toContain("/MediaBox [0 0 842 595]");
+      expect(text).toContain("/MediaBox [0 0 595 842]");
+      expect(text).toContain("/Width 400 /Height 300");
+      expect(text).toContain("/Width 300 /Height 400");
+
+      const xrefOffset = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+      expect(text.startsWith("xref\n0 9\n", xrefOffset)).toBe(true);
+      const offsets = text
+        .slice(xrefOffset)
+        .match(/^\d{10} 00000 n $/gm)
+        .map((entry) => Number(entry.slice(0, 10)));
+      expect(offsets).toHaveLength(8);
+      offsets.forEach((offset, index) => {
+        expect(text.startsWith(`${index + 1} 0 obj\n`, offset)).toBe(true);
+      });
+    });
+
+    it("encodes each photo once at full quality when there is no size limit", async () => {
+      await buildPdfFromImages([createPhoto("scan.jpg", 4000, 2000)], {
+        maxDimension: 2000,
+        fileName: "photos.pdf"
+      });
+
+      expect(toBlob).toHaveBeenCalledTimes(1);
+      expect(toBlob.mock.calls[0][2]).toBe(0.85);
+      expect(toBlob.mock.instances[0].width).toBe(2000);
+      expect(toBlob.mock.instances[0].height).toBe(1000);
+    });
+
+    it("lowers the quality of each page until the PDF fits the size limit", async () => {
+      const maxBytes = 2 * 60000;
+
+      const pdf = await buildPdfFromImages(
+        [
+          createPhoto("first.jpg", 1000, 1000),
+          createPhoto("second.jpg", 1000, 1000)
+        ],
+        { maxDimension: 2000, maxBytes, fileName: "photos.pdf" }
+      );
+
+      // 85,000 and 70,000 bytes are over each page's share; 55,000 fits
+      expect(toBlob.mock.calls.map((call) => call[2])).toEqual([
+        0.85, 0.7, 0.55, 0.85, 0.7, 0.55
+      ]);
+      expect(pdf.size).toBeLessThanOrEqual(maxBytes);
+    });
+
+    it("shrinks the photos once the lowest quality is still too large", async () => {
+      await buildPdfFromImages([createPhoto("scan.jpg", 1000, 1000)], {
+        maxDimension: 1000,
+        maxBytes: 40000,
+        fileName: "photos.pdf"
+      });
+
+      const widths = toBlob.mock.instances.map((canvas) => canvas.width);
+      expect(widths).toEqual([1000, 1000, 1000, 750]);
+    });
+  });
+});
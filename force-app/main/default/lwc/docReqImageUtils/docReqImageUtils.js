@@ -0,0 +1,281 @@
+/**
+ * Client-side image helpers for the Document Request guest portal.
+ * Downscales and re-encodes photos with a canvas, and combines several photos
+ * into a single PDF without any third-party library.
+ *
+ * Usage:
+ *   import { optimizeImage, buildPdfFromImages } from 'c/docReqImageUtils';
+ *   const smaller = await optimizeImage(file, { maxDimension: 2000, maxBytes, fileName: 'scan.jpg' });
+ *   const pdf = await buildPdfFromImages(files, { maxDimension: 2000, maxBytes, fileName: 'photos.pdf' });
+ */
+
+// Types a browser canvas can reliably decode
+const OPTIMIZABLE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Quality is lowered first, then the dimensions, until the file fits
+const JPEG_QUALITY_STEPS = [0.85, 0.7, 0.55];
+const DIMENSION_STEP = 0.75;
+const MAX_ENCODE_ATTEMPTS = 6;
+
+// A4 in PDF points, with a margin around each photo
+const PDF_PAGE_SHORT_SIDE = 595;
+const PDF_PAGE_LONG_SIDE = 842;
+const PDF_PAGE_MARGIN = 24;
+// Room for the page, content and image objects written around each photo
+const PDF_PAGE_OVERHEAD_BYTES = 1024;
+
+/**
+ * Returns true if the file is an image the canvas helpers can process.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isOptimizableImage(file) {
+  return OPTIMIZABLE_TYPES.includes(file?.type);
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not read image: ${file.name}`));
+    };
+    image.src = url;
+  });
+}
+
+function getLongestSide(image) {
+  return Math.max(image.naturalWidth, image.naturalHeight);
+}
+
+function drawScaled(image, maxDimension) {
+  const longest = getLongestSide(image);
+  const scale = longest > maxDimension ? maxDimension / longest : 1;
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+  const context = canvas.getContext("2d");
+  // JPEG has no transparency, so flatten onto white
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+function canvasToJpeg(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error("Image could not be encoded."));
+        }
+      },
+      "image/jpeg",
+      quality
+    );
+  });
+}
+
+async function encodeToFit(image, maxDimension, maxBytes, attempt = 0) {
+  const lastQualityStep = JPEG_QUALITY_STEPS.length - 1;
+  const quality = JPEG_QUALITY_STEPS[Math.min(attempt, lastQualityStep)];
+  const dimensionSteps = Math.max(0, attempt - lastQualityStep);
+  const dimension = Math.round(maxDimension * DIMENSION_STEP ** dimensionSteps);
+
+  const canvas = drawScaled(image, dimension);
+  const blob = await canvasToJpeg(canvas, quality);
+  if (
+    !maxBytes ||
+    blob.size <= maxBytes ||
+    attempt >= MAX_ENCODE_ATTEMPTS - 1
+  ) {
+    return { blob, width: canvas.width, height: canvas.height };
+  }
+  return encodeToFit(image, maxDimension, maxBytes, attempt + 1);
+}
+
+/**
+ * Downscales an image so its longest side fits maxDimension and re-encodes it as
+ * JPEG, lowering quality and then size until it fits maxBytes. Returns the
+ * original file when it already fits.
+ * @param {File} file - Image to optimize
+ * @param {Object} options
+ * @param {number} options.maxDimension - Longest side in pixels (optional)
+ * @param {number} options.maxBytes - Size the result should fit in (optional)
+ * @param {string} options.fileName - Name for the re-encoded file
+ * @returns {Promise<File>}
+ */
+export async function optimizeImage(
+  file,
+  { maxDimension, maxBytes, fileName }
+) {
+  const image = await loadImage(file);
+  const longest = getLongestSide(image);
+  const needsResize = maxDimension > 0 && longest > maxDimension;
+
+  if (!needsResize && (!maxBytes || file.size <= maxBytes)) {
+    return file;
+  }
+
+  const { blob } = await encodeToFit(
+    image,
+    needsResize ? maxDimension : longest,
+    maxBytes
+  );
+  if (!needsResize && blob.size >= file.size) {
+    return file;
+  }
+
+  // Keep the source timestamp so the same photo maps to the same resume key
+  return new File([blob], fileName, {
+    type: "image/jpeg",
+    lastModified: file.lastModified
+  });
+}
+
+/**
+ * Combines images into a PDF with one A4 page per image, in the order given.
+ * Each page gets an equal share of maxBytes, and its photo is encoded with the
+ * same quality and size steps as optimizeImage until it fits that share.
+ * @param {File[]} files - Images to combine
+ * @param {Object} options
+ * @param {number} options.maxDimension - Longest side of each embedded image (optional)
+ * @param {number} options.maxBytes - Size the PDF should fit in (optional)
+ * @param {string} options.fileName - Name for the PDF file
+ * @returns {Promise<File>}
+ */
+export async function buildPdfFromImages(
+  files,
+  { maxDimension, maxBytes, fileName }
+) {
+  const pageBytes =
+    maxBytes > 0
+      ? Math.max(
+          1,
+          Math.floor(maxBytes / files.length) - PDF_PAGE_OVERHEAD_BYTES
+        )
+      : 0;
+
+  // Decode one image at a time to keep memory use low on phones
+  const pages = await files.reduce(
+    (previous, file) =>
+      previous.then(async (encoded) => {
+        const image = await loadImage(file);
+        const longest = getLongestSide(image);
+        const { blob, width, height } = await encodeToFit(
+          image,
+          maxDimension > 0 ? Math.min(maxDimension, longest) : longest,
+          pageBytes
+        );
+        const data = new Uint8Array(await blob.arrayBuffer());
+        return [...encoded, { data, width, height }];
+      }),
+    Promise.resolve([])
+  );
+
+  return new File([writePdf(pages)], fileName, {
+    type: "application/pdf",
+    lastModified: Date.now()
+  });
+}
+
+function formatNumber(value) {
+  return value.toFixed(2);
+}
+
+/**
+ * Writes a minimal PDF 1.4 document. Each page holds one JPEG image embedded
+ * as-is with DCTDecode, scaled to fit the page.
+ */
+function writePdf(pages) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+
+  const push = (chunk) => {
+    const bytes = typeof chunk === "string" ? encoder.encode(chunk) : chunk;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const beginObject = (number) => {
+    offsets[number] = length;
+    push(`${number} 0 obj\n`);
+  };
+
+  push("%PDF-1.4\n");
+  // Binary comment so transfer tools treat the file as binary
+  push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+  // Object 1 is the catalog, 2 the page tree, then page/content/image per photo
+  const pageNumbers = pages.map((page, index) => 3 + index * 3);
+
+  beginObject(1);
+  push("<< /Type /Catalog /Pages 2 0 R >>\nendobj\n");
+
+  beginObject(2);
+  const kids = pageNumbers.map((number) => `${number} 0 R`).join(" ");
+  push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+
+  pages.forEach((page, index) => {
+    const pageNumber = pageNumbers[index];
+    const contentNumber = pageNumber + 1;
+    const imageNumber = pageNumber + 2;
+
+    const isLandscape = page.width > page.height;
+    const pageWidth = isLandscape ? PDF_PAGE_LONG_SIDE : PDF_PAGE_SHORT_SIDE;
+    const pageHeight = isLandscape ? PDF_PAGE_SHORT_SIDE : PDF_PAGE_LONG_SIDE;
+    const scale = Math.min(
+      (pageWidth - 2 * PDF_PAGE_MARGIN) / page.width,
+      (pageHeight - 2 * PDF_PAGE_MARGIN) / page.height
+    );
+    const drawWidth = page.width * scale;
+    const drawHeight = page.height * scale;
+    const x = (pageWidth - drawWidth) / 2;
+    const y = (pageHeight - drawHeight) / 2;
+    const content =
+      `q ${formatNumber(drawWidth)} 0 0 ${formatNumber(drawHeight)} ` +
+      `${formatNumber(x)} ${formatNumber(y)} cm /Im0 Do Q`;
+
+    beginObject(pageNumber);
+    push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        `/Resources << /XObject << /Im0 ${imageNumber} 0 R >> >> ` +
+        `/Contents ${contentNumber} 0 R >>\nendobj\n`
+    );
+
+    beginObject(contentNumber);
+    push(
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`
+    );
+
+    beginObject(imageNumber);
+    push(
+      `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+        "/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode " +
+        `/Length ${page.data.length} >>\nstream\n`
+    );
+    push(page.data);
+    push("\nendstream\nendobj\n");
+  });
+
+  const xrefOffset = length;
+  const entries = offsets
+    .slice(1)
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  push(`xref\n0 ${offsets.length}\n0000000000 65535 f \n${entries}`);
+  push(
+    `trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  return new Blob(parts, { type: "application/pdf" });
+}
@@ -0,0 +1,141 @@
+import { LightningElement, api } from "lwc";
+
+// Headline and explanation for each request status, worded for the recipient
+const STATUS_DISPLAY = {
+  Sent: {
+    label: "Waiting for your documents",
+    message: "We have not received any documents for this request yet."
+  },
+  Files_Received: {
+    label: "Received",
+    message: "We have your documents and will review them shortly."
+  },
+  Under_Review: {
+    label: "In review",
+    message: "Your documents are being reviewed."
+  },
+  Awaiting_Resubmission: {
+    label: "Replacements needed",
+    message:
+      "Some of your files could not be accepted. Please upload replacements."
+  },
+  Approved: {
+    label: "Complete",
+    message: "Your documents have been accepted. There is nothing more to do."
+  },
+  Rejected: {
+    label: "Closed",
+    message:
+      "This request was closed without being accepted. Please contact the sender if you have questions."
+  },
+  Expired: {
+    label: "Expired",
+    message:
+      "This link has expired. Please contact the sender if you still need to send documents."
+  }
+};
+
+const FILE_OUTCOMES = {
+  Pending_Review: { label: "Waiting for review", icon: "utility:clock" },
+  Approved: { label: "Accepted", icon: "utility:success" },
+  Rejected: { label: "Not accepted", icon: "utility:error" },
+  Quarantined: { label: "Could not be accepted", icon: "utility:error" }
+};
+
+/**
+ * Shows where a document request stands for the recipient: when it was sent,
+ * each file received with its review outcome, and the final decision.
+ */
+export default class DocReqStatusTimeline extends LightningElement {
+  @api summary;
+
+  get statusDisplay() {
+    return (
+      STATUS_DISPLAY[this.summary?.status] || {
+        label: this.summary?.status,
+        message: ""
+      }
+    );
+  }
+
+  get statusLabel() {
+    return this.statusDisplay.label;
+  }
+
+  get statusMessage() {
+    return this.statusDisplay.message;
+  }
+
+  /**
+   * Timeline entries oldest first. The decision or expiry, if any, comes last.
+   */
+  get entries() {
+    if (!this.summary) {
+      return [];
+    }
+
+    const entries = [];
+    if (this.summary.requestDate) {
+      entries.push({
+        key: "sent",
+        title: "Request sent to you",
+        date: this.summary.requestDate,
+        icon: "utility:email"
+      });
+    }
+
+    (this.summary.files || []).forEach((file, index) => {
+      entries.push(this.buildFileEntry(file, index));
+    });
+
+    const closingEntry = this.buildClosingEntry();
+    if (closingEntry) {
+      entries.push(closingEntry);
+    }
+    return entries;
+  }
+
+  get hasEntries() {
+    return this.entries.length > 0;
+  }
+
+  buildFileEntry(file, index) {
+    const outcome =
+      FILE_OUTCOMES[file.reviewStatus] || FILE_OUTCOMES.Pending_Review;
+    let detail = outcome.label;
+    if (file.resubmissionRequested) {
+      detail = file.rejectionReason
+        ? `Replacement requested: ${file.rejectionReason}`
+        : "Replacement requested";
+    }
+    return {
+      key: `file-${index}`,
+      title: `Received ${file.fileName}`,
+      date: file.receivedDate,
+      icon: outcome.icon,
+      detail,
+      note: file.replacesFileName ? `Replaces ${file.replacesFileName}` : null
+    };
+  }
+
+  buildClosingEntry() {
+    const status = this.summary.status;
+    if (status === "Approved" || status === "Rejected") {
+      return {
+        key: "decision",
+        title: status === "Approved" ? "Request complete" : "Request closed",
+        date: this.summary.decisionDate,
+        icon: status === "Approved" ? "utility:success" : "utility:close"
+      };
+    }
+    if (status === "Expired") {
+      return {
+        key: "expired",
+        title: "Link expired",
+        date: this.summary.expirationDate,
+        icon: "utility:clock"
+      };
+    }
+    return null;
+  }
+}
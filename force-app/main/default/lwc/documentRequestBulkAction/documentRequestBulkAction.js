@@ -0,0 +1,315 @@
+import { LightningElement, api } from "lwc";
+import { createLogger } from "c/docReqLogger";
+import previewBulkRequest from "@salesforce/apex/DocumentRequestBulkService.previewBulkRequest";
+import startBulkRequest from "@salesforce/apex/DocumentRequestBulkService.startBulkRequest";
+import getBulkJob from "@salesforce/apex/DocumentRequestBulkService.getBulkJob";
+import getRequestTemplates from "@salesforce/apex/DocumentRequestService.getRequestTemplates";
+import getInternalDebugSettings from "@salesforce/apex/DocumentRequestService.getInternalDebugSettings";
+
+const POLL_INTERVAL_MS = 3000;
+
+const PREVIEW_COLUMNS = [
+  { label: "Record", fieldName: "recordName" },
+  { label: "Recipient", fieldName: "recipientName" },
+  { label: "Email", fieldName: "recipientEmail", type: "email" },
+  { label: "Outcome", fieldName: "outcome", wrapText: true }
+];
+
+const SKIPPED_COLUMNS = [
+  { label: "Record", fieldName: "recordName" },
+  { label: "Reason", fieldName: "reason", wrapText: true }
+];
+
+const EMAIL_FAILURE_COLUMNS = [
+  { label: "Request", fieldName: "requestName" },
+  { label: "Email", fieldName: "recipientEmail", type: "email" },
+  { label: "Error", fieldName: "emailError", wrapText: true },
+  { label: "Upload Link", fieldName: "uploadUrl", type: "url" }
+];
+
+export default class DocumentRequestBulkAction extends LightningElement {
+  @api recordIds = [];
+  @api objectApiName;
+
+  // Logger instance
+  logger = createLogger("BulkAction", false);
+
+  previewColumns = PREVIEW_COLUMNS;
+  skippedColumns = SKIPPED_COLUMNS;
+  emailFailureColumns = EMAIL_FAILURE_COLUMNS;
+
+  isLoading = true;
+  isSubmitting = false;
+  error = null;
+  preview = null;
+  job = null;
+  pollTimer = null;
+
+  templates = [];
+  selectedTemplateName = "";
+  requestInstructions = "";
+  internalNotes = "";
+  expirationDays = null;
+  remindersEnabled = true;
+
+  async connectedCallback() {
+    this.logger.lifecycle("connectedCallback started");
+    await this.initializeDebugSettings();
+    this.logger.log("Component initialized", {
+      recordCount: this.recordIds?.length || 0,
+      objectApiName: this.objectApiName
+    });
+    this.loadPreview();
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this.pollTimer);
+  }
+
+  async initializeDebugSettings() {
+    try {
+      const settings = await getInternalDebugSettings();
+      this.logger = createLogger("BulkAction", settings.enableDebug);
+    } catch (error) {
+      // Silently fail - logging will just be disabled
+      console.warn("Failed to load debug settings:", error);
+    }
+  }
+
+  async loadPreview() {
+    this.isLoading = true;
+    this.error = null;
+    try {
+      this.logger.apiStart("previewBulkRequest", {
+        recordCount: this.recordIds?.length || 0
+      });
+      this.preview = await previewBulkRequest({
+        recordIds: this.recordIds,
+        sourceObjectApiName: this.objectApiName
+      });
+      this.logger.apiSuccess("previewBulkRequest", {
+        sendCount: this.preview.sendCount,
+        skipCount: this.preview.skipCount
+      });
+      await this.loadTemplates();
+    } catch (err) {
+      this.logger.apiError("previewBulkRequest", err);
+      this.error = err.body?.message || "Failed to load the selected records";
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  async loadTemplates() {
+    try {
+      this.templates = await getRequestTemplates({
+        sourceObjectApiName: this.objectApiName
+      });
+    } catch (err) {
+      // Templates are a shortcut only - the form still works without them
+      this.logger.apiError("getRequestTemplates", err);
+      this.templates = [];
+    }
+  }
+
+  get showForm() {
+    return !!this.preview && !this.job;
+  }
+
+  get showProgress() {
+    return !!this.job && !this.job.isFinished;
+  }
+
+  get showSummary() {
+    return !!this.job?.isFinished;
+  }
+
+  get previewRows() {
+    return (this.preview?.records || []).map((record) => ({
+      ...record,
+      recordName: record.recordName || record.recordId,
+      outcome: record.skipReason || "Request will be sent"
+    }));
+  }
+
+  get previewMessage() {
+    const { sendCount, skipCount } = this.preview;
+    return skipCount
+      ? `${sendCount} record(s) will get a request. ${skipCount} will be skipped.`
+      : `${sendCount} record(s) will get a request.`;
+  }
+
+  get isSendDisabled() {
+    return this.isSubmitting || !this.preview?.sendCount;
+  }
+
+  get hasTemplates() {
+    return this.templates.length > 0;
+  }
+
+  get templateOptions() {
+    return [
+      { label: "None", value: "" },
+      ...this.templates.map((template) => ({
+        label: template.label,
+        value: template.developerName
+      }))
+    ];
+  }
+
+  get selectedTemplate() {
+    return this.templates.find(
+      (template) => template.developerName === this.selectedTemplateName
+    );
+  }
+
+  get templateItems() {
+    return (this.selectedTemplate?.items || []).map((item, index) => ({
+      ...item,
+      key: `item-${index}`,
+      label: item.isRequired === false ? `${item.name} (optional)` : item.name
+    }));
+  }
+
+  get hasTemplateItems() {
+    return this.templateItems.length > 0;
+  }
+
+  handleTemplateChange(event) {
+    this.selectedTemplateName = event.detail.value;
+    this.logger.action("handleTemplateChange", {
+      template: this.selectedTemplateName
+    });
+    const template = this.selectedTemplate;
+    if (template) {
+      this.requestInstructions = template.instructions || "";
+      this.expirationDays = template.expirationDays || null;
+    }
+  }
+
+  handleInstructionsChange(event) {
+    this.requestInstructions = event.target.value;
+  }
+
+  handleNotesChange(event) {
+    this.internalNotes = event.target.value;
+  }
+
+  handleExpirationChange(event) {
+    this.expirationDays = event.target.value
+      ? parseInt(event.target.value, 10)
+      : null;
+  }
+
+  handleRemindersChange(event) {
+    this.remindersEnabled = event.target.checked;
+  }
+
+  async handleSend() {
+    this.logger.action("handleSend");
+    if (!this.requestInstructions && !this.hasTemplateItems) {
+      this.error =
+        "Add request instructions or pick a template with documents.";
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.error = null;
+    const options = {
+      templateDeveloperName: this.selectedTemplateName || null,
+      requestInstructions: this.requestInstructions,
+      internalNotes: this.internalNotes,
+      expirationDaysOverride: this.expirationDays,
+      remindersEnabled: this.remindersEnabled,
+      items: (this.selectedTemplate?.items || []).map((item) => ({
+        name: item.name,
+        description: item.description,
+        isRequired: item.isRequired
+      }))
+    };
+
+    try {
+      this.logger.apiStart("startBulkRequest", {
+        recordCount: this.recordIds.length,
+        templateDeveloperName: options.templateDeveloperName
+      });
+      const bulkJobId = await startBulkRequest({
+        recordIds: this.recordIds,
+        sourceObjectApiName: this.objectApiName,
+        optionsJson: JSON.stringify(options)
+      });
+      this.logger.apiSuccess("startBulkRequest", { bulkJobId });
+      await this.refreshJob(bulkJobId);
+    } catch (err) {
+      this.logger.apiError("startBulkRequest", err);
+      this.error = err.body?.message || "Failed to start the bulk send";
+    } finally {
+      this.isSubmitting = false;
+    }
+  }
+
+  async refreshJob(bulkJobId) {
+    try {
+      this.job = await getBulkJob({ bulkJobId });
+      this.logger.debug("Bulk job status", {
+        status: this.job.status,
+        processedCount: this.job.processedCount
+      });
+    } catch (err) {
+      this.logger.apiError("getBulkJob", err);
+      this.error = err.body?.message || "Failed to load the bulk job";
+      return;
+    }
+
+    if (!this.job.isFinished) {
+      // eslint-disable-next-line @lwc/lwc/no-async-operation
+      this.pollTimer = setTimeout(
+        () => this.refreshJob(bulkJobId),
+        POLL_INTERVAL_MS
+      );
+    }
+  }
+
+  get progressValue() {
+    if (!this.job?.totalRecords) {
+      return 0;
+    }
+    return Math.round((this.job.processedCount / this.job.totalRecords) * 100);
+  }
+
+  get progressLabel() {
+    return `${this.job.processedCount} of ${this.job.totalRecords} records processed`;
+  }
+
+  get isJobFailed() {
+    return this.job?.status === "Failed";
+  }
+
+  get skippedRows() {
+    const recordNames = new Map(
+      (this.preview?.records || []).map((record) => [
+        record.recordId,
+        record.recordName
+      ])
+    );
+    return (this.job?.skippedRecords || []).map((record) => ({
+      ...record,
+      recordName: recordNames.get(record.recordId) || record.recordId
+    }));
+  }
+
+  get hasSkippedRecords() {
+    return this.skippedRows.length > 0;
+  }
+
+  get hasEmailFailures() {
+    return (this.job?.emailFailures || []).length > 0;
+  }
+
+  handleClose() {
+    this.logger.action("handleClose");
+    this.dispatchEvent(
+      new CustomEvent("close", { bubbles: true, composed: true })
+    );
+  }
+}
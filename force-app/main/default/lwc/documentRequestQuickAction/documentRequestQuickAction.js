@@ -1,10 +1,17 @@
-import { LightningElement, api } from "lwc";
+import { LightningElement, api, wire } from "lwc";
 import { CloseActionScreenEvent } from "lightning/actions";
+import { getRecord, getFieldValue } from "lightning/uiRecordApi";
+import CONTACT_NAME_FIELD from "@salesforce/schema/Contact.Name";
+import CONTACT_EMAIL_FIELD from "@salesforce/schema/Contact.Email";
 import { createLogger } from "c/docReqLogger";
-import createDocumentRequest from "@salesforce/apex/DocumentRequestService.createDocumentRequest";
+import createDocumentRequestWithOptions from "@salesforce/apex/DocumentRequestService.createDocumentRequestWithOptions";
 import getRecipientInfoForLwc from "@salesforce/apex/DocumentRequestService.getRecipientInfoForLwc";
+import getRequestTemplates from "@salesforce/apex/DocumentRequestService.getRequestTemplates";
 import getInternalDebugSettings from "@salesforce/apex/DocumentRequestService.getInternalDebugSettings";
 
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const MAX_ADDITIONAL_RECIPIENTS = 10;
+
 export default class DocumentRequestQuickAction extends LightningElement {
   @api recordId;
   @api objectApiName;
@@ -20,16 +27,35 @@ export default class DocumentRequestQuickAction extends LightningElement {
 
   recipientName = "";
   recipientEmail = "";
+  recipientContactId = null;
+  resolvedRecipient = { name: "", email: "", contactId: null };
   requestInstructions = "";
   internalNotes = "";
   expirationDays = null;
+  reminderDays = [];
+  remindersEnabled = true;
+  requestedItems = [];
+  nextItemKey = 1;
+  templates = [];
+  selectedTemplateName = "";
   defaultExpirationDays = 7;
   maxFileSizeMB = 5;
-  allowedExtensions = "pdf, jpg, png, doc, docx";
+  defaultAllowedExtensions = "pdf, jpg, png, doc, docx";
+  allowedExtensions = this.defaultAllowedExtensions;
+  additionalRecipients = [];
+  nextRecipientKey = 1;
+  newRecipientEmail = "";
+  pendingContactId = null;
+  pendingContactIsPrimary = false;
 
   createdRequestId = null;
   createdRequestName = "";
   sentToEmail = "";
+  emailSent = true;
+  emailError = "";
+  uploadUrl = "";
+  linkCopied = false;
+  createdRecipients = [];
 
   async connectedCallback() {
     this.logger.lifecycle("connectedCallback started");
@@ -76,8 +102,13 @@ export default class DocumentRequestQuickAction extends LightningElement {
 
       this.logger.apiSuccess("getRecipientInfoForLwc", result);
 
-      this.recipientName = result.name || "Recipient";
-      this.recipientEmail = result.email || "";
+      this.resolvedRecipient = {
+        name: result.name || "",
+        email: result.email || "",
+        contactId: result.contactId || null
+      };
+      this.resetRecipient();
+      this.reminderDays = result.reminderDays || [];
 
       this.logger.log("Recipient info loaded", {
         name: this.recipientName,
@@ -86,13 +117,12 @@ export default class DocumentRequestQuickAction extends LightningElement {
       });
 
       if (!this.recipientEmail) {
-        this.error = "No email address found for the recipient on this record.";
-        this.showForm = false;
+        // The requester can still enter someone to send the request to
         this.logger.warn("No recipient email found");
-      } else {
-        this.showForm = true;
-        this.logger.log("Form displayed - ready for input");
       }
+      await this.loadTemplates();
+      this.showForm = true;
+      this.logger.log("Form displayed - ready for input");
     } catch (err) {
       this.logger.apiError("getRecipientInfoForLwc", err);
       this.error = err.body?.message || "Failed to load recipient information";
@@ -103,6 +133,236 @@ export default class DocumentRequestQuickAction extends LightningElement {
     }
   }
 
+  async loadTemplates() {
+    try {
+      this.logger.apiStart("getRequestTemplates", {
+        sourceObjectApiName: this.objectApiName
+      });
+      this.templates = await getRequestTemplates({
+        sourceObjectApiName: this.objectApiName
+      });
+      this.logger.apiSuccess("getRequestTemplates", {
+        count: this.templates.length
+      });
+    } catch (err) {
+      // Templates are a shortcut only - the form still works without them
+      this.logger.apiError("getRequestTemplates", err);
+      this.templates = [];
+    }
+  }
+
+  get hasTemplates() {
+    return this.templates.length > 0;
+  }
+
+  get templateOptions() {
+    return [
+      { label: "None", value: "" },
+      ...this.templates.map((template) => ({
+        label: template.label,
+        value: template.developerName
+      }))
+    ];
+  }
+
+  handleTemplateChange(event) {
+    this.selectedTemplateName = event.detail.value;
+    this.logger.action("handleTemplateChange", {
+      template: this.selectedTemplateName
+    });
+
+    const template = this.templates.find(
+      (candidate) => candidate.developerName === this.selectedTemplateName
+    );
+    if (!template) {
+      this.allowedExtensions = this.defaultAllowedExtensions;
+      return;
+    }
+
+    this.requestInstructions = template.instructions || "";
+    this.expirationDays = template.expirationDays || null;
+    this.allowedExtensions = template.allowedExtensions
+      ? template.allowedExtensions.split(",").join(", ")
+      : this.defaultAllowedExtensions;
+    this.requestedItems = (template.items || []).map((item) => ({
+      key: `item-${this.nextItemKey++}`,
+      name: item.name,
+      description: item.description || "",
+      isRequired: item.isRequired !== false
+    }));
+    this.logCurrentState();
+  }
+
+  get hasResolvedRecipient() {
+    return !!this.resolvedRecipient.email;
+  }
+
+  get isRecipientChanged() {
+    return (
+      this.recipientEmail.trim().toLowerCase() !==
+        this.resolvedRecipient.email.toLowerCase() ||
+      this.recipientContactId !== this.resolvedRecipient.contactId
+    );
+  }
+
+  get resolvedRecipientLabel() {
+    const { name, email } = this.resolvedRecipient;
+    return name ? `${name} (${email})` : email;
+  }
+
+  resetRecipient() {
+    this.recipientName = this.resolvedRecipient.name;
+    this.recipientEmail = this.resolvedRecipient.email;
+    this.recipientContactId = this.resolvedRecipient.contactId;
+  }
+
+  handleResetRecipient() {
+    this.logger.action("handleResetRecipient");
+    this.resetRecipient();
+  }
+
+  handleRecipientPickerChange(event) {
+    const contactId = event.detail.recordId;
+    this.logger.action("handleRecipientPickerChange", { contactId });
+    if (contactId) {
+      this.pendingContactIsPrimary = true;
+      this.pendingContactId = contactId;
+    } else {
+      this.recipientContactId = null;
+    }
+  }
+
+  // A typed name or email no longer belongs to the picked contact
+  handleRecipientNameChange(event) {
+    this.recipientName = event.target.value || "";
+    this.recipientContactId = null;
+  }
+
+  handleRecipientEmailInput(event) {
+    this.recipientEmail = event.target.value || "";
+    this.recipientContactId = null;
+  }
+
+  get hasAdditionalRecipients() {
+    return this.additionalRecipients.length > 0;
+  }
+
+  get isAddRecipientDisabled() {
+    return !this.newRecipientEmail.trim();
+  }
+
+  // The record picker only returns an Id, so the contact's name and email are
+  // loaded before the recipient is added
+  @wire(getRecord, {
+    recordId: "$pendingContactId",
+    fields: [CONTACT_NAME_FIELD, CONTACT_EMAIL_FIELD]
+  })
+  wiredPendingContact(result) {
+    if (!this.pendingContactId) {
+      return;
+    }
+    if (result.error) {
+      this.logger.apiError("getRecord", result.error);
+      this.error = "Failed to load the selected contact.";
+      this.clearContactPicker();
+      return;
+    }
+    if (!result.data) {
+      return;
+    }
+
+    const name = getFieldValue(result.data, CONTACT_NAME_FIELD);
+    const email = getFieldValue(result.data, CONTACT_EMAIL_FIELD);
+    if (!email) {
+      this.error = `${name} has no email address.`;
+    } else if (this.pendingContactIsPrimary) {
+      this.error = null;
+      this.recipientName = name;
+      this.recipientEmail = email;
+      this.recipientContactId = this.pendingContactId;
+    } else {
+      this.addRecipient({ contactId: this.pendingContactId, email, name });
+    }
+    this.clearContactPicker();
+  }
+
+  handleRecipientContactChange(event) {
+    const contactId = event.detail.recordId;
+    this.logger.action("handleRecipientContactChange", { contactId });
+    if (contactId) {
+      this.pendingContactIsPrimary = false;
+      this.pendingContactId = contactId;
+    }
+  }
+
+  clearContactPicker() {
+    const isPrimary = this.pendingContactIsPrimary;
+    this.pendingContactId = null;
+    this.pendingContactIsPrimary = false;
+    // The recipient picker keeps showing the chosen contact
+    if (isPrimary) {
+      return;
+    }
+    const picker = this.template.querySelector(".additional-recipient-picker");
+    if (picker) {
+      picker.clearSelection();
+    }
+  }
+
+  handleRecipientEmailChange(event) {
+    this.newRecipientEmail = event.target.value || "";
+  }
+
+  handleAddRecipientEmail() {
+    const email = this.newRecipientEmail.trim();
+    this.logger.action("handleAddRecipientEmail", { email });
+    if (!EMAIL_PATTERN.test(email)) {
+      this.error = "Enter a valid email address for the additional recipient.";
+      return;
+    }
+    if (this.addRecipient({ contactId: null, email, name: null })) {
+      this.newRecipientEmail = "";
+    }
+  }
+
+  addRecipient({ contactId, email, name }) {
+    const normalized = email.toLowerCase();
+    const isDuplicate =
+      normalized === this.recipientEmail.trim().toLowerCase() ||
+      this.additionalRecipients.some(
+        (recipient) => recipient.email.toLowerCase() === normalized
+      );
+    if (isDuplicate) {
+      this.error = `${email} is already a recipient of this request.`;
+      return false;
+    }
+    if (this.additionalRecipients.length >= MAX_ADDITIONAL_RECIPIENTS) {
+      this.error = `A request can have at most ${MAX_ADDITIONAL_RECIPIENTS} additional recipients.`;
+      return false;
+    }
+
+    this.error = null;
+    this.additionalRecipients = [
+      ...this.additionalRecipients,
+      {
+        key: `recipient-${this.nextRecipientKey++}`,
+        contactId,
+        email,
+        name,
+        label: name ? `${name} (${email})` : email
+      }
+    ];
+    return true;
+  }
+
+  handleRemoveRecipient(event) {
+    const key = event.target.dataset.key;
+    this.logger.action("handleRemoveRecipient", { key });
+    this.additionalRecipients = this.additionalRecipients.filter(
+      (recipient) => recipient.key !== key
+    );
+  }
+
   handleInstructionsChange(event) {
     this.requestInstructions = event.target.value;
     this.logger.debug("Instructions changed", {
@@ -126,49 +386,177 @@ export default class DocumentRequestQuickAction extends LightningElement {
     });
   }
 
+  get hasReminderSchedule() {
+    return this.reminderDays.length > 0;
+  }
+
+  get remindersLabel() {
+    const days = this.reminderDays.join(" and ");
+    return `Remind the recipient ${days} day(s) before the link expires`;
+  }
+
+  handleRemindersChange(event) {
+    this.remindersEnabled = event.target.checked;
+    this.logger.debug("Reminders changed", { value: this.remindersEnabled });
+  }
+
+  get hasRequestedItems() {
+    return this.requestedItems.length > 0;
+  }
+
+  handleAddItem() {
+    this.logger.action("handleAddItem");
+    this.requestedItems = [
+      ...this.requestedItems,
+      {
+        key: `item-${this.nextItemKey++}`,
+        name: "",
+        description: "",
+        isRequired: true
+      }
+    ];
+  }
+
+  handleRemoveItem(event) {
+    const key = event.currentTarget.dataset.key;
+    this.logger.action("handleRemoveItem", { key });
+    this.requestedItems = this.requestedItems.filter(
+      (item) => item.key !== key
+    );
+  }
+
+  handleItemNameChange(event) {
+    this.updateRequestedItem(event.target.dataset.key, {
+      name: event.target.value
+    });
+  }
+
+  handleItemDescriptionChange(event) {
+    this.updateRequestedItem(event.target.dataset.key, {
+      description: event.target.value
+    });
+  }
+
+  handleItemRequiredChange(event) {
+    this.updateRequestedItem(event.target.dataset.key, {
+      isRequired: event.target.checked
+    });
+  }
+
+  updateRequestedItem(key, changes) {
+    this.requestedItems = this.requestedItems.map((item) => {
+      if (item.key !== key) {
+        return item;
+      }
+      return { ...item, ...changes };
+    });
+  }
+
   async handleSubmit() {
     this.logger.action("handleSubmit");
 
-    if (!this.requestInstructions) {
-      this.error = "Request instructions are required.";
-      this.logger.warn("Validation failed - instructions required");
+    if (!this.requestInstructions && !this.hasRequestedItems) {
+      this.error = "Add request instructions or at least one document.";
+      this.logger.warn("Validation failed - instructions or items required");
+      return;
+    }
+
+    if (this.requestedItems.some((item) => !item.name?.trim())) {
+      this.error = "Each requested document needs a name.";
+      this.logger.warn("Validation failed - unnamed requested document");
+      return;
+    }
+
+    if (!EMAIL_PATTERN.test(this.recipientEmail.trim())) {
+      this.error = "Enter a valid email address for the recipient.";
+      this.logger.warn("Validation failed - invalid recipient email");
       return;
     }
 
     this.isSubmitting = true;
     this.error = null;
 
+    const options = {
+      templateDeveloperName: this.selectedTemplateName || null,
+      requestInstructions: this.requestInstructions,
+      internalNotes: this.internalNotes,
+      expirationDaysOverride: this.expirationDays,
+      remindersEnabled: this.remindersEnabled,
+      recipientOverride: this.isRecipientChanged
+        ? {
+            contactId: this.recipientContactId,
+            email: this.recipientEmail.trim(),
+            name: this.recipientName.trim()
+          }
+        : null,
+      items: this.requestedItems.map((item) => ({
+        name: item.name.trim(),
+        description: item.description,
+        isRequired: item.isRequired
+      })),
+      additionalRecipients: this.additionalRecipients.map((recipient) => ({
+        contactId: recipient.contactId,
+        email: recipient.email,
+        name: recipient.name
+      }))
+    };
     const params = {
       sourceRecordId: this.recordId,
       sourceObjectApiName: this.objectApiName,
-      requestInstructions: this.requestInstructions,
-      internalNotes: this.internalNotes,
-      expirationDaysOverride: this.expirationDays
+      optionsJson: JSON.stringify(options)
     };
 
     this.logger.log("Submitting document request", {
-      ...params,
-      requestInstructions: params.requestInstructions.substring(0, 50) + "..."
+      sourceRecordId: params.sourceRecordId,
+      sourceObjectApiName: params.sourceObjectApiName,
+      templateDeveloperName: options.templateDeveloperName,
+      requestInstructions: options.requestInstructions.substring(0, 50) + "...",
+      itemCount: options.items.length,
+      recipientOverridden: !!options.recipientOverride,
+      additionalRecipientCount: options.additionalRecipients.length,
+      expirationDaysOverride: options.expirationDaysOverride,
+      remindersEnabled: options.remindersEnabled
     });
 
     try {
-      this.logger.apiStart("createDocumentRequest", params);
-      const result = await createDocumentRequest(params);
-      this.logger.apiSuccess("createDocumentRequest", result);
+      this.logger.apiStart("createDocumentRequestWithOptions", params);
+      const result = await createDocumentRequestWithOptions(params);
+      this.logger.apiSuccess("createDocumentRequestWithOptions", result);
 
       this.createdRequestId = result.requestId;
       this.createdRequestName = result.requestName;
       this.sentToEmail = result.recipientEmail || this.recipientEmail;
+      this.emailSent = result.emailSent !== false;
+      this.emailError = result.emailError || "";
+      this.uploadUrl = result.uploadUrl || "";
+      this.createdRecipients = (result.additionalRecipients || []).map(
+        (recipient) => ({
+          ...recipient,
+          displayName: recipient.name
+            ? `${recipient.name} (${recipient.email})`
+            : recipient.email,
+          isEmailFailed: recipient.emailStatus === "Failed"
+        })
+      );
       this.showForm = false;
       this.showSuccess = true;
 
       this.logger.log("Document request created successfully", {
         requestId: this.createdRequestId,
         requestName: this.createdRequestName,
-        sentToEmail: this.sentToEmail
+        sentToEmail: this.sentToEmail,
+        emailSent: this.emailSent
       });
+      if (!this.emailSent) {
+        this.logger.warn("Request email was not sent", {
+          emailError: this.emailError
+        });
+      }
+      if (this.hasFailedRecipientEmails) {
+        this.logger.warn("Some additional recipient emails were not sent");
+      }
     } catch (err) {
-      this.logger.apiError("createDocumentRequest", err);
+      this.logger.apiError("createDocumentRequestWithOptions", err);
       this.error = err.body?.message || "Failed to create document request";
     } finally {
       this.isSubmitting = false;
@@ -176,6 +564,35 @@ export default class DocumentRequestQuickAction extends LightningElement {
     }
   }
 
+  get emailFailureMessage() {
+    return this.emailError
+      ? `The email to ${this.sentToEmail} could not be sent: ${this.emailError}`
+      : `The email to ${this.sentToEmail} could not be sent.`;
+  }
+
+  get hasCreatedRecipients() {
+    return this.createdRecipients.length > 0;
+  }
+
+  get hasFailedRecipientEmails() {
+    return this.createdRecipients.some((recipient) => recipient.isEmailFailed);
+  }
+
+  async handleCopyLink() {
+    this.logger.action("handleCopyLink");
+    try {
+      await navigator.clipboard.writeText(this.uploadUrl);
+      this.linkCopied = true;
+    } catch (err) {
+      // Clipboard access can be blocked - select the link so it can be copied by hand
+      this.logger.warn("Clipboard write failed", err);
+      const input = this.template.querySelector(".upload-link input");
+      if (input) {
+        input.select();
+      }
+    }
+  }
+
   handleCancel() {
     this.logger.action("handleCancel");
     this.dispatchEvent(new CloseActionScreenEvent());
@@ -195,8 +612,14 @@ export default class DocumentRequestQuickAction extends LightningElement {
       error: this.error,
       recipientName: this.recipientName,
       recipientEmail: this.recipientEmail,
+      recipientContactId: this.recipientContactId,
+      isRecipientChanged: this.isRecipientChanged,
+      selectedTemplateName: this.selectedTemplateName,
       hasInstructions: !!this.requestInstructions,
-      expirationDays: this.expirationDays
+      requestedItemCount: this.requestedItems.length,
+      additionalRecipientCount: this.additionalRecipients.length,
+      expirationDays: this.expirationDays,
+      emailSent: this.emailSent
     });
   }
 }
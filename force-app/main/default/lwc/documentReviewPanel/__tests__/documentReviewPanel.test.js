@@ -0,0 +1,395 @@
+import { createElement } from "lwc";
+import DocumentReviewPanel from "c/documentReviewPanel";
+import getRequestDetails from "@salesforce/apex/DocumentRequestService.getRequestDetails";
+import getRequestFiles from "@salesforce/apex/DocumentRequestService.getRequestFiles";
+import getCommitTargets from "@salesforce/apex/DocumentRequestService.getCommitTargets";
+import getStatusTransitions from "@salesforce/apex/DocumentRequestStatusService.getStatusTransitions";
+import approveFiles from "@salesforce/apex/DocumentRequestService.approveFiles";
+import rejectFiles from "@salesforce/apex/DocumentRequestService.rejectFiles";
+import commitFiles from "@salesforce/apex/DocumentRequestService.commitFiles";
+import getInternalDebugSettings from "@salesforce/apex/DocumentRequestService.getInternalDebugSettings";
+
+function mockWireAdapter() {
+  const { createApexTestWireAdapter } = require("@salesforce/sfdx-lwc-jest");
+  return { default: createApexTestWireAdapter(jest.fn()) };
+}
+
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.getRequestDetails",
+  () => mockWireAdapter(),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.getRequestFiles",
+  () => mockWireAdapter(),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.getRequestItems",
+  () => mockWireAdapter(),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.getRequestEvents",
+  () => mockWireAdapter(),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.getCommitTargets",
+  () => mockWireAdapter(),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestStatusService.getStatusTransitions",
+  () => mockWireAdapter(),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.approveFiles",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.rejectFiles",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.commitFiles",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.extendExpiration",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.reissueRequest",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.sendBackToRecipient",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/DocumentRequestService.getInternalDebugSettings",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+
+const REQUEST_ID = "a00000000000001AAA";
+
+const TRANSITIONS = {
+  Files_Received: [
+    "Under_Review",
+    "Awaiting_Resubmission",
+    "Approved",
+    "Rejected",
+    "Expired"
+  ],
+  Rejected: []
+};
+
+function buildFile(id, title, reviewStatus, extra = {}) {
+  return {
+    id,
+    title,
+    reviewStatus,
+    fileExtension: "pdf",
+    contentSize: 1024,
+    isHeld: false,
+    ...extra
+  };
+}
+
+async function flushPromises() {
+  for (let i = 0; i < 5; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    await Promise.resolve();
+  }
+}
+
+async function createComponent(files, status = "Files_Received") {
+  const element = createElement("c-document-review-panel", {
+    is: DocumentReviewPanel
+  });
+  element.recordId = REQUEST_ID;
+  document.body.appendChild(element);
+
+  getRequestDetails.emit({
+    id: REQUEST_ID,
+    name: "DR-00001",
+    status,
+    fileCount: files.length,
+    additionalRecipients: []
+  });
+  getStatusTransitions.emit(TRANSITIONS);
+  getRequestFiles.emit(files);
+  await flushPromises();
+  return element;
+}
+
+function findByLabel(element, selector, label) {
+  return Array.from(element.shadowRoot.querySelectorAll(selector)).find(
+    (candidate) => candidate.label === label
+  );
+}
+
+function findButton(element, label) {
+  return findByLabel(element, "lightning-button", label);
+}
+
+function findModalButton(element, label) {
+  return findByLabel(element, "section.slds-modal lightning-button", label);
+}
+
+async function selectFile(element, fileId) {
+  const checkbox = element.shadowRoot.querySelector(
+    `lightning-input[data-id="${fileId}"]`
+  );
+  checkbox.checked = true;
+  checkbox.dispatchEvent(new CustomEvent("change"));
+  await flushPromises();
+}
+
+function listenForToasts(element) {
+  const handler = jest.fn();
+  element.addEventListener("lightning__showtoast", handler);
+  return handler;
+}
+
+describe("c-document-review-panel", () => {
+  beforeEach(() => {
+    getInternalDebugSettings.mockResolvedValue({ enableDebug: false });
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  describe("bulk review", () => {
+    const FILES = [
+      buildFile("068000000000001AAA", "passport.pdf", "Pending_Review"),
+      buildFile("068000000000002AAA", "bill.pdf", "Pending_Review"),
+      buildFile("068000000000003AAA", "payslip.pdf", "Pending_Review")
+    ];
+
+    it("approves the selected files in one call", async () => {
+      approveFiles.mockResolvedValue([
+        { contentVersionId: FILES[0].id, success: true },
+        { contentVersionId: FILES[1].id, success: true }
+      ]);
+      const element = await createComponent(FILES);
+      const toasts = listenForToasts(element);
+
+      await selectFile(element, FILES[0].id);
+      await selectFile(element, FILES[1].id);
+      findButton(element, "Approve Selected (2)").click();
+      await flushPromises();
+
+      expect(approveFiles).toHaveBeenCalledWith({
+        contentVersionIds: [FILES[0].id, FILES[1].id]
+      });
+      expect(toasts).toHaveBeenCalledTimes(1);
+      expect(toasts.mock.calls[0][0].detail).toMatchObject({
+        message: "2 files approved",
+        variant: "success"
+      });
+      expect(findButton(element, "Approve Selected (0)").disabled).toBe(true);
+    });
+
+    it("keeps the files that could not be approved selected with their error", async () => {
+      approveFiles.mockResolvedValue([
+        { contentVersionId: FILES[0].id, success: true },
+        {
+          contentVersionId: FILES[1].id,
+          success: false,
+          errorMessage: "File was already reviewed."
+        }
+      ]);
+      const element = await createComponent(FILES);
+      const toasts = listenForToasts(element);
+
+      await selectFile(element, FILES[0].id);
+      await selectFile(element, FILES[1].id);
+      findButton(element, "Approve Selected (2)").click();
+      await flushPromises();
+
+      expect(toasts.mock.calls[0][0].detail.variant).toBe("warning");
+      expect(findButton(element, "Approve Selected (1)")).toBeDefined();
+      expect(element.shadowRoot.textContent).toContain(
+        "Could not update: File was already reviewed."
+      );
+    });
+
+    it("approves every pending file from Approve All Pending", async () => {
+      approveFiles.mockResolvedValue(
+        FILES.map((file) => ({ contentVersionId: file.id, success: true }))
+      );
+      const element = await createComponent([
+        ...FILES,
+        buildFile("068000000000004AAA", "held.pdf", "Scanning", {
+          isHeld: true
+        })
+      ]);
+
+      findButton(element, "Approve All Pending").click();
+      await flushPromises();
+
+      expect(approveFiles).toHaveBeenCalledWith({
+        contentVersionIds: FILES.map((file) => file.id)
+      });
+    });
+
+    it("asks for a reason before rejecting the selected files", async () => {
+      rejectFiles.mockResolvedValue([
+        { contentVersionId: FILES[2].id, success: true }
+      ]);
+      const element = await createComponent(FILES);
+      const toasts = listenForToasts(element);
+
+      await selectFile(element, FILES[2].id);
+      findButton(element, "Reject Selected (1)").click();
+      await flushPromises();
+
+      findModalButton(element, "Reject").click();
+      await flushPromises();
+      expect(rejectFiles).not.toHaveBeenCalled();
+      expect(toasts.mock.calls[0][0].detail.variant).toBe("error");
+
+      const reason = element.shadowRoot.querySelector("lightning-textarea");
+      reason.value = "Blurry";
+      reason.dispatchEvent(new CustomEvent("change"));
+      findModalButton(element, "Reject").click();
+      await flushPromises();
+
+      expect(rejectFiles).toHaveBeenCalledWith({
+        contentVersionIds: [FILES[2].id],
+        rejectionReason: "Blurry"
+      });
+      expect(element.shadowRoot.querySelector("lightning-textarea")).toBeNull();
+    });
+  });
+
+  describe("commit", () => {
+    const CONTACT_ID = "003000000000001AAA";
+    const FILES = [
+      buildFile("068000000000001AAA", "passport.pdf", "Approved", {
+        committedDate: "2026-01-05T10:00:00.000Z"
+      }),
+      buildFile("068000000000002AAA", "bill.pdf", "Approved"),
+      buildFile("068000000000003AAA", "payslip.pdf", "Pending_Review")
+    ];
+
+    async function createCommitComponent(status) {
+      const element = await createComponent(FILES, status);
+      getCommitTargets.emit([
+        {
+          recordId: "500000000000001AAA",
+          objectLabel: "Case",
+          isSourceRecord: true
+        },
+        {
+          recordId: CONTACT_ID,
+          objectLabel: "Contact",
+          fieldPath: "ContactId",
+          isSourceRecord: false
+        }
+      ]);
+      await flushPromises();
+      return element;
+    }
+
+    it("commits the chosen files to the chosen records and keeps the request open", async () => {
+      commitFiles.mockResolvedValue({
+        filesCommitted: 1,
+        linksCreated: 2,
+        linksSkipped: 0,
+        requestClosed: false
+      });
+      const element = await createCommitComponent();
+      const toasts = listenForToasts(element);
+
+      findButton(element, "Commit Approved Files").click();
+      await flushPromises();
+
+      const fileChoice = findByLabel(
+        element,
+        "lightning-checkbox-group",
+        "Files to commit"
+      );
+      expect(fileChoice.value).toEqual([FILES[1].id]);
+      expect(fileChoice.options.map((option) => option.label)).toEqual([
+        "passport.pdf (already committed)",
+        "bill.pdf"
+      ]);
+
+      const targetChoice = findByLabel(
+        element,
+        "lightning-checkbox-group",
+        "Also link to"
+      );
+      targetChoice.dispatchEvent(
+        new CustomEvent("change", { detail: { value: [CONTACT_ID] } })
+      );
+      const closeOption = findByLabel(
+        element,
+        "lightning-input",
+        "Close the request as approved"
+      );
+      closeOption.checked = false;
+      closeOption.dispatchEvent(new CustomEvent("change"));
+      findModalButton(element, "Commit").click();
+      await flushPromises();
+
+      expect(commitFiles).toHaveBeenCalledWith({
+        documentRequestId: REQUEST_ID,
+        contentVersionIds: [FILES[1].id],
+        additionalTargetIds: [CONTACT_ID],
+        closeRequest: false
+      });
+      expect(toasts.mock.calls[0][0].detail).toMatchObject({
+        message: "1 file(s) committed",
+        variant: "success"
+      });
+      expect(
+        findByLabel(element, "lightning-checkbox-group", "Files to commit")
+      ).toBeUndefined();
+    });
+
+    it("keeps the modal open when the commit fails", async () => {
+      commitFiles.mockRejectedValue({
+        body: {
+          message: "Only approved files on this request can be committed."
+        }
+      });
+      const element = await createCommitComponent();
+      const toasts = listenForToasts(element);
+
+      findButton(element, "Commit Approved Files").click();
+      await flushPromises();
+      findModalButton(element, "Commit").click();
+      await flushPromises();
+
+      expect(toasts.mock.calls[0][0].detail).toMatchObject({
+        message: "Only approved files on this request can be committed.",
+        variant: "error"
+      });
+      expect(
+        findByLabel(element, "lightning-checkbox-group", "Files to commit")
+      ).toBeDefined();
+    });
+
+    it("does not offer to commit when the request cannot be approved", async () => {
+      const element = await createCommitComponent("Rejected");
+
+      expect(findButton(element, "Commit Approved Files")).toBeUndefined();
+    });
+  });
+});
@@ -2,14 +2,30 @@ import { LightningElement, api, wire } from "lwc";
 import { refreshApex } from "@salesforce/apex";
 import { NavigationMixin } from "lightning/navigation";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import {
+  subscribe,
+  unsubscribe,
+  onError,
+  isEmpEnabled
+} from "lightning/empApi";
 import { createLogger } from "c/docReqLogger";
 import getRequestDetails from "@salesforce/apex/DocumentRequestService.getRequestDetails";
 import getRequestFiles from "@salesforce/apex/DocumentRequestService.getRequestFiles";
-import approveFile from "@salesforce/apex/DocumentRequestService.approveFile";
-import rejectFile from "@salesforce/apex/DocumentRequestService.rejectFile";
-import commitApprovedFiles from "@salesforce/apex/DocumentRequestService.commitApprovedFiles";
+import getRequestItems from "@salesforce/apex/DocumentRequestService.getRequestItems";
+import getRequestEvents from "@salesforce/apex/DocumentRequestService.getRequestEvents";
+import approveFiles from "@salesforce/apex/DocumentRequestService.approveFiles";
+import rejectFiles from "@salesforce/apex/DocumentRequestService.rejectFiles";
+import commitFiles from "@salesforce/apex/DocumentRequestService.commitFiles";
+import getCommitTargets from "@salesforce/apex/DocumentRequestService.getCommitTargets";
+import extendExpiration from "@salesforce/apex/DocumentRequestService.extendExpiration";
+import reissueRequest from "@salesforce/apex/DocumentRequestService.reissueRequest";
+import sendBackToRecipient from "@salesforce/apex/DocumentRequestService.sendBackToRecipient";
+import getStatusTransitions from "@salesforce/apex/DocumentRequestStatusService.getStatusTransitions";
 import getInternalDebugSettings from "@salesforce/apex/DocumentRequestService.getInternalDebugSettings";
 
+const STATUS_CHANGE_CHANNEL = "/event/Document_Request_Status_Change__e";
+const FILE_CHANGE_CHANNEL = "/event/Document_Request_File_Change__e";
+
 export default class DocumentReviewPanel extends NavigationMixin(
   LightningElement
 ) {
@@ -21,13 +37,44 @@ export default class DocumentReviewPanel extends NavigationMixin(
 
   requestDetail = null;
   files = [];
+  requestItems = [];
+  events = [];
+  // Statuses each status can move to, from DocumentRequestStatusService
+  statusTransitions = {};
   error = null;
   isLoading = true;
   isCommitting = false;
 
+  // Commit modal
+  showCommitModal = false;
+  commitTargets = [];
+  commitFileIds = [];
+  commitTargetIds = [];
+  closeOnCommit = true;
+
   showRejectModal = false;
   rejectionReason = "";
-  fileToReject = null;
+  filesToReject = [];
+
+  // Bulk review
+  selectedFileIds = [];
+  isReviewing = false;
+  // Error from the last approve or reject, by file Id
+  fileErrors = {};
+
+  showSendBackModal = false;
+  isSendingBack = false;
+
+  // Extend / reissue link modal state
+  showLinkModal = false;
+  linkAction = null;
+  linkDays = 7;
+  resendEmail = true;
+  isUpdatingLink = false;
+  reissuedUploadUrl = "";
+  reissueEmailError = "";
+  // New links of additional recipients that were not emailed
+  reissuedRecipientLinks = [];
 
   // File preview modal state
   showPreviewModal = false;
@@ -38,11 +85,78 @@ export default class DocumentReviewPanel extends NavigationMixin(
 
   _wiredDetails;
   _wiredFiles;
+  _wiredItems;
+  _wiredEvents;
+  _statusSubscription;
+  _fileSubscription;
 
   connectedCallback() {
     this.logger.lifecycle("connectedCallback started");
     this.logger.log("Component initialized", { recordId: this.recordId });
     this.initializeDebugSettings();
+    this.subscribeToStatusChanges();
+  }
+
+  disconnectedCallback() {
+    if (this._statusSubscription) {
+      unsubscribe(this._statusSubscription);
+      this._statusSubscription = null;
+    }
+    if (this._fileSubscription) {
+      unsubscribe(this._fileSubscription);
+      this._fileSubscription = null;
+    }
+  }
+
+  /**
+   * Reloads the panel when this request changes status or its files change
+   * elsewhere, e.g. when the recipient uploads or a malware scan finishes, so
+   * reviewers do not need to reload the page.
+   */
+  async subscribeToStatusChanges() {
+    try {
+      if (!(await isEmpEnabled())) {
+        this.logger.warn("Streaming API unavailable, live refresh disabled");
+        return;
+      }
+      onError((error) => {
+        this.logger.warn("Status change subscription error", error);
+      });
+      this._statusSubscription = await subscribe(
+        STATUS_CHANGE_CHANNEL,
+        -1,
+        (message) => this.handleStatusChange(message)
+      );
+      this._fileSubscription = await subscribe(
+        FILE_CHANGE_CHANNEL,
+        -1,
+        (message) => this.handleFileChange(message)
+      );
+      this.logger.log("Subscribed to status and file changes");
+    } catch (error) {
+      this.logger.warn("Failed to subscribe to status changes", error);
+    }
+  }
+
+  handleStatusChange(message) {
+    const change = message?.data?.payload;
+    if (change?.Document_Request_Id__c !== this.recordId) {
+      return;
+    }
+    this.logger.action("handleStatusChange", {
+      oldStatus: change.Old_Status__c,
+      newStatus: change.New_Status__c
+    });
+    this.refreshData();
+  }
+
+  handleFileChange(message) {
+    const change = message?.data?.payload;
+    if (change?.Document_Request_Id__c !== this.recordId) {
+      return;
+    }
+    this.logger.action("handleFileChange");
+    this.refreshData();
   }
 
   async initializeDebugSettings() {
@@ -72,7 +186,9 @@ export default class DocumentReviewPanel extends NavigationMixin(
         name: result.data.name,
         status: result.data.status,
         fileCount: result.data.fileCount,
-        recipientEmail: result.data.recipientEmail
+        recipientEmail: result.data.recipientEmail,
+        emailStatus: result.data.emailStatus,
+        additionalRecipientCount: result.data.additionalRecipients?.length
       });
     } else if (result.error) {
       this.error =
@@ -87,8 +203,14 @@ export default class DocumentReviewPanel extends NavigationMixin(
     if (result.data) {
       this.files = result.data.map((file) => ({
         ...file,
-        isPending: file.reviewStatus === "Pending_Review"
+        isPending: file.reviewStatus === "Pending_Review",
+        isScanning: file.reviewStatus === "Scanning",
+        isQuarantined: file.reviewStatus === "Quarantined"
       }));
+      // Reviewed or removed files can no longer be selected
+      this.selectedFileIds = this.selectedFileIds.filter((id) =>
+        this.files.some((f) => f.id === id && f.isPending)
+      );
       this.error = null;
       this.logger.log("Files loaded", {
         count: this.files.length,
@@ -107,6 +229,54 @@ export default class DocumentReviewPanel extends NavigationMixin(
     this.logCurrentState();
   }
 
+  @wire(getCommitTargets, { documentRequestId: "$recordId" })
+  wiredCommitTargets(result) {
+    if (result.data) {
+      this.commitTargets = result.data;
+      this.logger.log("Commit targets loaded", {
+        count: this.commitTargets.length
+      });
+    } else if (result.error) {
+      this.logger.apiError("getCommitTargets (wire)", result.error);
+    }
+  }
+
+  @wire(getRequestItems, { documentRequestId: "$recordId" })
+  wiredItems(result) {
+    this._wiredItems = result;
+    if (result.data) {
+      this.requestItems = result.data;
+      this.logger.log("Requested items loaded", {
+        count: this.requestItems.length
+      });
+    } else if (result.error) {
+      this.error =
+        result.error.body?.message || "Failed to load requested documents";
+      this.logger.apiError("getRequestItems (wire)", result.error);
+    }
+  }
+
+  @wire(getStatusTransitions)
+  wiredStatusTransitions(result) {
+    if (result.data) {
+      this.statusTransitions = result.data;
+    } else if (result.error) {
+      this.logger.apiError("getStatusTransitions (wire)", result.error);
+    }
+  }
+
+  @wire(getRequestEvents, { documentRequestId: "$recordId" })
+  wiredEvents(result) {
+    this._wiredEvents = result;
+    if (result.data) {
+      this.events = result.data;
+      this.logger.log("Activity loaded", { count: this.events.length });
+    } else if (result.error) {
+      // The activity list is secondary; keep the panel usable without it
+      this.logger.apiError("getRequestEvents (wire)", result.error);
+    }
+  }
+
   get hasError() {
     return this.error != null;
   }
@@ -115,14 +285,170 @@ export default class DocumentReviewPanel extends NavigationMixin(
     return this.files && this.files.length > 0;
   }
 
+  get hasRequestItems() {
+    return this.requestItems.length > 0;
+  }
+
+  get showFileGroups() {
+    return this.hasFiles || this.hasRequestItems;
+  }
+
+  /**
+   * Files with their selection and the error from the last review, if any.
+   */
+  get displayFiles() {
+    return this.files.map((file) => ({
+      ...file,
+      isSelected: this.selectedFileIds.includes(file.id),
+      selectLabel: `Select ${file.title}`,
+      reviewError: this.fileErrors[file.id]
+    }));
+  }
+
+  /**
+   * Files grouped under the requested item they were uploaded for, in checklist
+   * order, with anything else under "Other documents". Without requested items
+   * all files are in one group.
+   */
+  get fileGroups() {
+    const displayFiles = this.displayFiles;
+    if (!this.hasRequestItems) {
+      return [
+        {
+          key: "all",
+          showHeader: false,
+          files: displayFiles,
+          hasFiles: this.hasFiles
+        }
+      ];
+    }
+
+    const groups = this.requestItems.map((item) => {
+      const files = displayFiles.filter((f) => f.requestItemId === item.id);
+      const isMissing = item.isRequired && !this.hasAcceptableFile(files);
+      return {
+        key: item.id,
+        showHeader: true,
+        name: item.name,
+        description: item.description,
+        requirementLabel: item.isRequired ? "Required" : "Optional",
+        isMissing,
+        headerClass: isMissing
+          ? "slds-text-heading_small slds-text-color_error"
+          : "slds-text-heading_small",
+        files,
+        hasFiles: files.length > 0
+      };
+    });
+
+    const itemIds = new Set(this.requestItems.map((item) => item.id));
+    const otherFiles = displayFiles.filter(
+      (f) => !itemIds.has(f.requestItemId)
+    );
+    if (otherFiles.length > 0) {
+      groups.push({
+        key: "other",
+        showHeader: true,
+        name: "Other documents",
+        headerClass: "slds-text-heading_small",
+        files: otherFiles,
+        hasFiles: true
+      });
+    }
+    return groups;
+  }
+
+  /**
+   * Required items with no file that is pending or approved.
+   */
+  get missingRequiredItems() {
+    return this.requestItems.filter(
+      (item) =>
+        item.isRequired &&
+        !this.hasAcceptableFile(
+          this.files.filter((f) => f.requestItemId === item.id)
+        )
+    );
+  }
+
+  get hasMissingRequiredItems() {
+    return this.missingRequiredItems.length > 0;
+  }
+
+  get missingRequiredItemsLabel() {
+    return this.missingRequiredItems.map((item) => item.name).join(", ");
+  }
+
+  hasAcceptableFile(files) {
+    return files.some(
+      (f) => f.reviewStatus !== "Rejected" && f.reviewStatus !== "Quarantined"
+    );
+  }
+
+  get pendingFileIds() {
+    return this.files.filter((f) => f.isPending).map((f) => f.id);
+  }
+
   get noFilesToApprove() {
-    return !this.files.some((f) => f.isPending);
+    return this.pendingFileIds.length === 0 || this.isReviewing;
+  }
+
+  get selectedCount() {
+    return this.selectedFileIds.length;
+  }
+
+  get noFilesSelected() {
+    return this.selectedCount === 0 || this.isReviewing;
+  }
+
+  get allPendingSelected() {
+    return (
+      this.pendingFileIds.length > 0 &&
+      this.selectedCount === this.pendingFileIds.length
+    );
+  }
+
+  get approveSelectedLabel() {
+    return `Approve Selected (${this.selectedCount})`;
+  }
+
+  get rejectSelectedLabel() {
+    return `Reject Selected (${this.selectedCount})`;
+  }
+
+  get rejectModalTitle() {
+    return this.filesToReject.length === 1
+      ? "Reject File"
+      : `Reject ${this.filesToReject.length} Files`;
+  }
+
+  /**
+   * Whether the lifecycle lets the request move to the given status now.
+   */
+  canMoveTo(status) {
+    const allowed = this.statusTransitions[this.requestDetail?.status] || [];
+    return allowed.includes(status);
   }
 
   get canCommit() {
     return (
       this.files.some((f) => f.reviewStatus === "Approved") &&
-      this.requestDetail?.status !== "Approved"
+      this.canMoveTo("Approved")
+    );
+  }
+
+  /**
+   * Rejected files the recipient has not been asked to replace yet.
+   */
+  get filesToSendBack() {
+    return this.files.filter(
+      (f) => f.reviewStatus === "Rejected" && !f.resubmissionRequested
+    );
+  }
+
+  get canSendBack() {
+    return (
+      this.canMoveTo("Awaiting_Resubmission") && this.filesToSendBack.length > 0
     );
   }
 
@@ -131,11 +457,68 @@ export default class DocumentReviewPanel extends NavigationMixin(
     if (status === "Approved") return "slds-badge_success";
     if (status === "Rejected" || status === "Expired")
       return "slds-badge_error";
-    if (status === "Files_Received" || status === "Under_Review")
+    if (
+      status === "Files_Received" ||
+      status === "Under_Review" ||
+      status === "Awaiting_Resubmission"
+    )
       return "slds-badge_warning";
     return "";
   }
 
+  get isEmailFailed() {
+    return this.requestDetail?.emailStatus === "Failed";
+  }
+
+  get emailStatusLabel() {
+    return this.getEmailStatusLabel(this.requestDetail?.emailStatus);
+  }
+
+  get emailStatusClass() {
+    return this.getEmailStatusClass(this.requestDetail?.emailStatus);
+  }
+
+  getEmailStatusLabel(status) {
+    if (status === "Sent") return "Sent";
+    if (status === "Failed") return "Failed";
+    return "Not Sent";
+  }
+
+  getEmailStatusClass(status) {
+    if (status === "Sent") return "slds-badge_success";
+    if (status === "Failed") return "slds-badge_error";
+    return "";
+  }
+
+  get recipientOverrideMessage() {
+    const original = this.requestDetail?.originalRecipientEmail;
+    return original
+      ? `Chosen by the requester instead of ${original}`
+      : "Entered by the requester";
+  }
+
+  /**
+   * People the request was sent to besides the primary recipient, each with
+   * their own link and email delivery.
+   */
+  get additionalRecipients() {
+    return (this.requestDetail?.additionalRecipients || []).map(
+      (recipient) => ({
+        ...recipient,
+        displayName: recipient.name
+          ? `${recipient.name} (${recipient.email})`
+          : recipient.email,
+        emailStatusLabel: this.getEmailStatusLabel(recipient.emailStatus),
+        emailStatusClass: this.getEmailStatusClass(recipient.emailStatus),
+        isEmailFailed: recipient.emailStatus === "Failed"
+      })
+    );
+  }
+
+  get hasAdditionalRecipients() {
+    return this.additionalRecipients.length > 0;
+  }
+
   navigateToSourceRecord() {
     this.logger.action("navigateToSourceRecord", {
       sourceRecordId: this.requestDetail?.sourceRecordId
@@ -151,28 +534,44 @@ export default class DocumentReviewPanel extends NavigationMixin(
     }
   }
 
-  async handleApproveFile(event) {
+  handleSelectFile(event) {
+    const fileId = event.target.dataset.id;
+    const checked = event.target.checked;
+    this.logger.action("handleSelectFile", { fileId, checked });
+    this.selectedFileIds = checked
+      ? [...this.selectedFileIds, fileId]
+      : this.selectedFileIds.filter((id) => id !== fileId);
+  }
+
+  handleSelectAllPending(event) {
+    const checked = event.target.checked;
+    this.logger.action("handleSelectAllPending", { checked });
+    this.selectedFileIds = checked ? [...this.pendingFileIds] : [];
+  }
+
+  handleApproveFile(event) {
     const fileId = event.target.dataset.id;
     const file = this.files.find((f) => f.id === fileId);
     this.logger.action("handleApproveFile", {
       fileId,
       fileName: file?.title
     });
+    this.submitReview("approve", [fileId]);
+  }
 
-    try {
-      this.logger.apiStart("approveFile", { contentVersionId: fileId });
-      await approveFile({ contentVersionId: fileId });
-      this.logger.apiSuccess("approveFile", { fileId });
-      this.showToast("Success", "File approved", "success");
-      await this.refreshData();
-    } catch (error) {
-      this.logger.apiError("approveFile", error);
-      this.showToast(
-        "Error",
-        error.body?.message || "Failed to approve file",
-        "error"
-      );
-    }
+  handleApproveSelected() {
+    this.logger.action("handleApproveSelected", {
+      fileIds: this.selectedFileIds
+    });
+    this.submitReview("approve", [...this.selectedFileIds]);
+  }
+
+  handleApproveAll() {
+    this.logger.action("handleApproveAll", {
+      pendingCount: this.pendingFileIds.length,
+      fileIds: this.pendingFileIds
+    });
+    this.submitReview("approve", this.pendingFileIds);
   }
 
   handleRejectFile(event) {
@@ -182,7 +581,18 @@ export default class DocumentReviewPanel extends NavigationMixin(
       fileId,
       fileName: file?.title
     });
-    this.fileToReject = fileId;
+    this.openRejectModal([fileId]);
+  }
+
+  handleRejectSelected() {
+    this.logger.action("handleRejectSelected", {
+      fileIds: this.selectedFileIds
+    });
+    this.openRejectModal([...this.selectedFileIds]);
+  }
+
+  openRejectModal(fileIds) {
+    this.filesToReject = fileIds;
     this.rejectionReason = "";
     this.showRejectModal = true;
   }
@@ -197,13 +607,13 @@ export default class DocumentReviewPanel extends NavigationMixin(
   closeRejectModal() {
     this.logger.action("closeRejectModal");
     this.showRejectModal = false;
-    this.fileToReject = null;
+    this.filesToReject = [];
     this.rejectionReason = "";
   }
 
   async confirmReject() {
     this.logger.action("confirmReject", {
-      fileId: this.fileToReject,
+      fileIds: this.filesToReject,
       reasonLength: this.rejectionReason.length
     });
 
@@ -213,78 +623,193 @@ export default class DocumentReviewPanel extends NavigationMixin(
       return;
     }
 
+    const saved = await this.submitReview(
+      "reject",
+      this.filesToReject,
+      this.rejectionReason
+    );
+    if (saved) {
+      this.closeRejectModal();
+    }
+  }
+
+  /**
+   * Approves or rejects the files in one server call. Files that fail keep their
+   * selection and show the error in the file list.
+   * @returns {Promise<boolean>} false if the call itself failed
+   */
+  async submitReview(action, fileIds, rejectionReason) {
+    const isReject = action === "reject";
+    const apiName = isReject ? "rejectFiles" : "approveFiles";
+    this.isReviewing = true;
+
     try {
-      this.logger.apiStart("rejectFile", {
-        contentVersionId: this.fileToReject,
-        rejectionReason: this.rejectionReason
-      });
-      await rejectFile({
-        contentVersionId: this.fileToReject,
-        rejectionReason: this.rejectionReason
+      this.logger.apiStart(apiName, {
+        contentVersionIds: fileIds,
+        rejectionReason
       });
-      this.logger.apiSuccess("rejectFile", { fileId: this.fileToReject });
-      this.showToast("Success", "File rejected", "success");
-      this.closeRejectModal();
+      const results = isReject
+        ? await rejectFiles({ contentVersionIds: fileIds, rejectionReason })
+        : await approveFiles({ contentVersionIds: fileIds });
+      this.logger.apiSuccess(apiName, results);
+      this.applyReviewResults(results, isReject ? "rejected" : "approved");
       await this.refreshData();
+      return true;
     } catch (error) {
-      this.logger.apiError("rejectFile", error);
+      this.logger.apiError(apiName, error);
       this.showToast(
         "Error",
-        error.body?.message || "Failed to reject file",
+        error.body?.message || `Failed to ${action} files`,
         "error"
       );
+      return false;
+    } finally {
+      this.isReviewing = false;
+      this.logCurrentState();
     }
   }
 
-  async handleApproveAll() {
-    const pendingFiles = this.files.filter((f) => f.isPending);
-    this.logger.action("handleApproveAll", {
-      pendingCount: pendingFiles.length,
-      fileIds: pendingFiles.map((f) => f.id)
-    });
+  applyReviewResults(results, verb) {
+    const failures = results.filter((result) => !result.success);
+    const succeeded = results.length - failures.length;
 
-    this.logger.log("Approving all pending files...");
-    const results = await Promise.allSettled(
-      pendingFiles.map((file) => approveFile({ contentVersionId: file.id }))
-    );
-
-    const failures = results
-      .map((result, idx) => ({ result, file: pendingFiles[idx] }))
-      .filter(({ result }) => result.status === "rejected");
+    const fileErrors = {};
+    failures.forEach((result) => {
+      fileErrors[result.contentVersionId] = result.errorMessage;
+    });
+    this.fileErrors = fileErrors;
+    this.selectedFileIds = failures.map((result) => result.contentVersionId);
 
-    this.logger.log("Approve all results", {
-      total: pendingFiles.length,
-      succeeded: pendingFiles.length - failures.length,
+    this.logger.log("Review results", {
+      verb,
+      total: results.length,
+      succeeded,
       failed: failures.length
     });
 
-    if (failures.length > 0) {
-      failures.forEach(({ file, result }) => {
-        this.logger.error(`Failed to approve ${file.title}`, result.reason);
-        this.showToast("Error", `Failed to approve ${file.title}`, "error");
-      });
+    if (failures.length === 0) {
+      this.showToast(
+        "Success",
+        succeeded === 1 ? `File ${verb}` : `${succeeded} files ${verb}`,
+        "success"
+      );
+    } else if (succeeded === 0) {
+      this.showToast(
+        "Error",
+        `No files were ${verb}. See the file list for details.`,
+        "error"
+      );
+    } else {
+      this.showToast(
+        "Warning",
+        `${succeeded} of ${results.length} files ${verb}. ` +
+          `${failures.length} could not be ${verb}; see the file list for details.`,
+        "warning"
+      );
     }
+  }
+
+  get approvedFiles() {
+    return this.files.filter((f) => f.reviewStatus === "Approved");
+  }
+
+  get commitFileOptions() {
+    return this.approvedFiles.map((f) => ({
+      label: f.committedDate ? `${f.title} (already committed)` : f.title,
+      value: f.id
+    }));
+  }
 
-    this.showToast("Success", "All pending files approved", "success");
-    await this.refreshData();
+  get sourceRecordLabel() {
+    const source = this.commitTargets.find((t) => t.isSourceRecord);
+    return source ? source.objectLabel : "source record";
+  }
+
+  /**
+   * Related records the files can also be linked to; the source record is
+   * always linked so it is not offered as an option.
+   */
+  get additionalTargetOptions() {
+    return this.commitTargets
+      .filter((t) => !t.isSourceRecord)
+      .map((t) => ({
+        label: `${t.objectLabel} (${t.fieldPath})`,
+        value: t.recordId
+      }));
+  }
+
+  get hasAdditionalTargets() {
+    return this.additionalTargetOptions.length > 0;
+  }
+
+  get commitDisabled() {
+    return this.commitFileIds.length === 0 || this.isCommitting;
+  }
+
+  handleOpenCommit() {
+    // Files not committed yet are selected by default
+    this.commitFileIds = this.approvedFiles
+      .filter((f) => !f.committedDate)
+      .map((f) => f.id);
+    this.commitTargetIds = [];
+    this.closeOnCommit = true;
+    this.logger.action("handleOpenCommit", {
+      fileIds: this.commitFileIds,
+      targetCount: this.commitTargets.length
+    });
+    this.showCommitModal = true;
+  }
+
+  closeCommitModal() {
+    this.logger.action("closeCommitModal");
+    this.showCommitModal = false;
+  }
+
+  handleCommitFilesChange(event) {
+    this.commitFileIds = event.detail.value;
+  }
+
+  handleCommitTargetsChange(event) {
+    this.commitTargetIds = event.detail.value;
+  }
+
+  handleCloseOnCommitChange(event) {
+    this.closeOnCommit = event.target.checked;
   }
 
   async handleCommit() {
-    this.logger.action("handleCommit", { recordId: this.recordId });
+    this.logger.action("handleCommit", {
+      recordId: this.recordId,
+      fileIds: this.commitFileIds,
+      targetIds: this.commitTargetIds,
+      closeRequest: this.closeOnCommit
+    });
     this.isCommitting = true;
 
     try {
-      this.logger.apiStart("commitApprovedFiles", {
+      this.logger.apiStart("commitFiles", {
         documentRequestId: this.recordId
       });
-      await commitApprovedFiles({ documentRequestId: this.recordId });
-      this.logger.apiSuccess("commitApprovedFiles", {
-        recordId: this.recordId
+      const result = await commitFiles({
+        documentRequestId: this.recordId,
+        contentVersionIds: this.commitFileIds,
+        additionalTargetIds: this.commitTargetIds,
+        closeRequest: this.closeOnCommit
       });
-      this.showToast("Success", "Files committed to source record", "success");
+      this.logger.apiSuccess("commitFiles", result);
+
+      let message = `${result.filesCommitted} file(s) committed`;
+      if (result.linksSkipped > 0) {
+        message += `; ${result.linksSkipped} existing link(s) were kept`;
+      }
+      if (result.requestClosed) {
+        message += ". The request is now approved";
+      }
+      this.showToast("Success", message, "success");
+      this.showCommitModal = false;
       await this.refreshData();
     } catch (error) {
-      this.logger.apiError("commitApprovedFiles", error);
+      this.logger.apiError("commitFiles", error);
       this.showToast(
         "Error",
         error.body?.message || "Failed to commit files",
@@ -296,11 +821,241 @@ export default class DocumentReviewPanel extends NavigationMixin(
     }
   }
 
+  handleOpenSendBack() {
+    this.logger.action("handleOpenSendBack", {
+      fileCount: this.filesToSendBack.length
+    });
+    this.showSendBackModal = true;
+  }
+
+  closeSendBackModal() {
+    this.logger.action("closeSendBackModal");
+    this.showSendBackModal = false;
+  }
+
+  async confirmSendBack() {
+    this.logger.action("confirmSendBack", { recordId: this.recordId });
+    this.isSendingBack = true;
+
+    try {
+      this.logger.apiStart("sendBackToRecipient", {
+        documentRequestId: this.recordId
+      });
+      const result = await sendBackToRecipient({
+        documentRequestId: this.recordId
+      });
+      this.logger.apiSuccess("sendBackToRecipient", {
+        emailSent: result.emailSent,
+        emailError: result.emailError,
+        recipientCount: result.additionalRecipients?.length
+      });
+
+      if (result.emailSent) {
+        this.showToast(
+          "Success",
+          `The rejected files were sent back to ${result.recipientEmail}`,
+          "success"
+        );
+      } else {
+        this.showToast(
+          "Warning",
+          `The request is waiting for replacements, but not every email could be sent: ${result.emailError}. Use Reissue Link to send new links.`,
+          "warning"
+        );
+      }
+      this.showSendBackModal = false;
+      await this.refreshData();
+    } catch (error) {
+      this.logger.apiError("sendBackToRecipient", error);
+      this.showToast(
+        "Error",
+        error.body?.message || "Failed to send the files back",
+        "error"
+      );
+    } finally {
+      this.isSendingBack = false;
+      this.logCurrentState();
+    }
+  }
+
+  get isReissueAction() {
+    return this.linkAction === "reissue";
+  }
+
+  get linkModalTitle() {
+    return this.isReissueAction ? "Reissue Link" : "Extend Expiration";
+  }
+
+  get linkDaysLabel() {
+    return this.isReissueAction
+      ? "New link valid for (days)"
+      : "Days to add to the expiration";
+  }
+
+  get linkConfirmLabel() {
+    return this.isReissueAction ? "Reissue" : "Extend";
+  }
+
+  get hasReissuedRecipientLinks() {
+    return this.reissuedRecipientLinks.length > 0;
+  }
+
+  get showReissuedLink() {
+    return !!this.reissuedUploadUrl || this.hasReissuedRecipientLinks;
+  }
+
+  handleOpenExtend() {
+    this.logger.action("handleOpenExtend");
+    this.openLinkModal("extend");
+  }
+
+  handleOpenReissue() {
+    this.logger.action("handleOpenReissue");
+    this.openLinkModal("reissue");
+  }
+
+  openLinkModal(action) {
+    this.linkAction = action;
+    this.linkDays = 7;
+    this.resendEmail = true;
+    this.reissuedUploadUrl = "";
+    this.reissueEmailError = "";
+    this.reissuedRecipientLinks = [];
+    this.showLinkModal = true;
+  }
+
+  closeLinkModal() {
+    this.logger.action("closeLinkModal");
+    this.showLinkModal = false;
+    this.linkAction = null;
+    this.reissuedUploadUrl = "";
+    this.reissueEmailError = "";
+    this.reissuedRecipientLinks = [];
+  }
+
+  handleLinkDaysChange(event) {
+    this.linkDays = event.target.value
+      ? parseInt(event.target.value, 10)
+      : null;
+  }
+
+  handleResendEmailChange(event) {
+    this.resendEmail = event.target.checked;
+  }
+
+  async confirmLinkAction() {
+    this.logger.action("confirmLinkAction", {
+      action: this.linkAction,
+      days: this.linkDays,
+      resendEmail: this.resendEmail
+    });
+
+    if (!this.linkDays) {
+      this.showToast("Error", "Please enter the number of days", "error");
+      return;
+    }
+
+    this.isUpdatingLink = true;
+    try {
+      if (this.isReissueAction) {
+        await this.reissueLink();
+      } else {
+        await this.extendLink();
+      }
+      await this.refreshData();
+    } catch (error) {
+      this.logger.apiError(this.linkAction, error);
+      this.showToast(
+        "Error",
+        error.body?.message || "Failed to update the upload link",
+        "error"
+      );
+    } finally {
+      this.isUpdatingLink = false;
+      this.logCurrentState();
+    }
+  }
+
+  async extendLink() {
+    const params = {
+      documentRequestId: this.recordId,
+      additionalDays: this.linkDays
+    };
+    this.logger.apiStart("extendExpiration", params);
+    const newExpiration = await extendExpiration(params);
+    this.logger.apiSuccess("extendExpiration", { newExpiration });
+    this.showToast("Success", "Expiration extended", "success");
+    this.closeLinkModal();
+  }
+
+  async reissueLink() {
+    const params = {
+      documentRequestId: this.recordId,
+      expirationDays: this.linkDays,
+      resendEmail: this.resendEmail
+    };
+    this.logger.apiStart("reissueRequest", params);
+    const result = await reissueRequest(params);
+    const recipientLinks = (result.additionalRecipients || [])
+      .filter((recipient) => recipient.uploadUrl)
+      .map((recipient) => ({
+        id: recipient.id,
+        email: recipient.email,
+        uploadUrl: recipient.uploadUrl
+      }));
+    this.logger.apiSuccess("reissueRequest", {
+      emailSent: result.emailSent,
+      emailError: result.emailError,
+      recipientLinksNotEmailed: recipientLinks.length
+    });
+
+    if (result.emailSent && recipientLinks.length === 0) {
+      this.showToast(
+        "Success",
+        result.additionalRecipients?.length > 0
+          ? `New links were emailed to ${result.recipientEmail} and ${result.additionalRecipients.length} other recipient(s)`
+          : `A new link was emailed to ${result.recipientEmail}`,
+        "success"
+      );
+      this.closeLinkModal();
+      return;
+    }
+
+    // Keep the modal open so the new links can be copied
+    this.reissuedUploadUrl = result.emailSent ? "" : result.uploadUrl;
+    this.reissueEmailError = result.emailError || "";
+    this.reissuedRecipientLinks = recipientLinks;
+    this.showToast(
+      this.resendEmail ? "Warning" : "Success",
+      this.resendEmail
+        ? "A new link was issued, but the email could not be sent"
+        : "A new link was issued",
+      this.resendEmail ? "warning" : "success"
+    );
+  }
+
+  async handleCopyReissuedLink() {
+    this.logger.action("handleCopyReissuedLink");
+    try {
+      await navigator.clipboard.writeText(this.reissuedUploadUrl);
+      this.showToast("Success", "Link copied to the clipboard", "success");
+    } catch (error) {
+      // Clipboard access can be blocked - select the link so it can be copied by hand
+      this.logger.warn("Clipboard write failed", error);
+      const input = this.template.querySelector(".reissued-link input");
+      if (input) {
+        input.select();
+      }
+    }
+  }
+
   async refreshData() {
     this.logger.log("Refreshing data...");
     await Promise.all([
       refreshApex(this._wiredDetails),
-      refreshApex(this._wiredFiles)
+      refreshApex(this._wiredFiles),
+      refreshApex(this._wiredItems),
+      refreshApex(this._wiredEvents)
     ]);
     this.logger.log("Data refreshed");
   }
@@ -320,7 +1075,7 @@ export default class DocumentReviewPanel extends NavigationMixin(
       previewUrl: file?.previewUrl
     });
 
-    if (file) {
+    if (file && !file.isHeld) {
       this.previewFileUrl = file.previewUrl;
       this.previewFileName = file.title;
       this.previewFileId = fileId;
@@ -361,8 +1116,16 @@ export default class DocumentReviewPanel extends NavigationMixin(
       rejectedCount: this.files.filter((f) => f.reviewStatus === "Rejected")
         .length,
       canCommit: this.canCommit,
+      requestItemCount: this.requestItems.length,
+      eventCount: this.events.length,
+      missingRequiredItems: this.missingRequiredItems.map((item) => item.name),
       requestStatus: this.requestDetail?.status,
+      selectedFileIds: this.selectedFileIds,
+      isReviewing: this.isReviewing,
       showRejectModal: this.showRejectModal,
+      showSendBackModal: this.showSendBackModal,
+      showCommitModal: this.showCommitModal,
+      showLinkModal: this.showLinkModal,
       showPreviewModal: this.showPreviewModal
     });
   }
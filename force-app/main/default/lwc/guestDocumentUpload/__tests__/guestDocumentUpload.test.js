@@ -0,0 +1,497 @@
+import { createElement } from "lwc";
+import GuestDocumentUpload from "c/guestDocumentUpload";
+import validateToken from "@salesforce/apex/GuestDocumentUploadService.validateToken";
+import startChunkedUpload from "@salesforce/apex/GuestDocumentUploadService.startChunkedUpload";
+import appendChunk from "@salesforce/apex/GuestDocumentUploadService.appendChunk";
+import cancelChunkedUpload from "@salesforce/apex/GuestDocumentUploadService.cancelChunkedUpload";
+import startDirectUpload from "@salesforce/apex/GuestDocumentUploadService.startDirectUpload";
+import getUploadStatus from "@salesforce/apex/GuestDocumentUploadService.getUploadStatus";
+import getPublicDebugSettings from "@salesforce/apex/GuestDocumentUploadService.getPublicDebugSettings";
+import { buildPdfFromImages } from "c/docReqImageUtils";
+
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.validateToken",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.sendVerificationCode",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.verifyCode",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.startChunkedUpload",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.startChunkedReplacementUpload",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.appendChunk",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.getUploadStatus",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.cancelChunkedUpload",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.startDirectUpload",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/GuestDocumentUploadService.getPublicDebugSettings",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+// Reading file headers is covered by the server; every file passes here
+jest.mock("c/docReqFileTypeUtils", () => ({
+  getFileTypeMismatchReason: jest.fn(() => Promise.resolve(null))
+}));
+
+// The PDF writer is covered by its own tests; here it returns a chosen file
+jest.mock("c/docReqImageUtils", () => ({
+  ...jest.requireActual("c/docReqImageUtils"),
+  buildPdfFromImages: jest.fn()
+}));
+
+const TOKEN = "12345678-1234-1234-1234-123456789012";
+
+const VALID_TOKEN_RESULT = {
+  isValid: true,
+  requestNumber: "DR-00001",
+  maxFileSizeMB: 3,
+  maxFilesPerUpload: 10,
+  allowedExtensions: ["pdf"],
+  items: [],
+  returnedFiles: []
+};
+
+const CHUNK_SIZE = 98304;
+
+function startedSession(uploadKey) {
+  return {
+    success: true,
+    uploadKey,
+    status: "In_Progress",
+    nextChunkIndex: 0,
+    totalChunks: 1,
+    chunkSizeBytes: CHUNK_SIZE
+  };
+}
+
+function completedSession(uploadKey) {
+  return {
+    success: true,
+    uploadKey,
+    status: "Completed",
+    nextChunkIndex: 1,
+    totalChunks: 1,
+    chunkSizeBytes: CHUNK_SIZE
+  };
+}
+
+let nextModified = 1;
+function createPdf(name) {
+  nextModified += 1;
+  return new File(["%PDF-1.7 test"], name, {
+    type: "application/pdf",
+    lastModified: nextModified
+  });
+}
+
+// Chunks are read with FileReader, which finishes on a later task
+async function flushPromises() {
+  for (let i = 0; i < 20; i++) {
+    // eslint-disable-next-line no-await-in-loop, @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+async function createComponent() {
+  const element = createElement("c-guest-document-upload", {
+    is: GuestDocumentUpload
+  });
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+}
+
+async function addFiles(element, files) {
+  const input = Array.from(
+    element.shadowRoot.querySelectorAll("lightning-input")
+  ).find((candidate) => candidate.type === "file");
+  Object.defineProperty(input, "files", { value: files, configurable: true });
+  input.dispatchEvent(new CustomEvent("change"));
+  await flushPromises();
+}
+
+async function clickUpload(element) {
+  const button = Array.from(
+    element.shadowRoot.querySelectorAll("lightning-button")
+  ).find((candidate) => candidate.label === "Upload Documents");
+  button.click();
+  await flushPromises();
+}
+
+function createLargePdf(name, sizeMB) {
+  const file = createPdf(name);
+  Object.defineProperty(file, "size", { value: sizeMB * 1024 * 1024 });
+  return file;
+}
+
+function createPhoto(name) {
+  nextModified += 1;
+  return new File(["photo"], name, {
+    type: "image/jpeg",
+    lastModified: nextModified
+  });
+}
+
+function getFileRows(element) {
+  return Array.from(element.shadowRoot.querySelectorAll("li.file-row"));
+}
+
+function getStatusLabel(row) {
+  return row.querySelectorAll("p")[1].textContent;
+}
+
+function findRowButton(row, iconName) {
+  return Array.from(row.querySelectorAll("lightning-button-icon")).find(
+    (button) => button.iconName === iconName
+  );
+}
+
+describe("c-guest-document-upload", () => {
+  beforeEach(() => {
+    window.history.pushState({}, "", `/?token=${TOKEN}`);
+    getPublicDebugSettings.mockResolvedValue({ enableDebug: false });
+    validateToken.mockResolvedValue(VALID_TOKEN_RESULT);
+    cancelChunkedUpload.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    window.localStorage.clear();
+    window.sessionStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  it("records the visit only on the first load", async () => {
+    await createComponent();
+
+    expect(validateToken).toHaveBeenCalledTimes(1);
+    expect(validateToken).toHaveBeenCalledWith({
+      token: TOKEN,
+      recordVisit: true
+    });
+  });
+
+  it("uploads queued files one at a time and shows the success screen", async () => {
+    startChunkedUpload
+      .mockResolvedValueOnce(startedSession("key-1"))
+      .mockResolvedValueOnce(startedSession("key-2"));
+    appendChunk
+      .mockResolvedValueOnce(completedSession("key-1"))
+      .mockResolvedValueOnce(completedSession("key-2"));
+    const element = await createComponent();
+
+    await addFiles(element, [createPdf("first.pdf"), createPdf("second.pdf")]);
+    expect(getFileRows(element).map(getStatusLabel)).toEqual([
+      "Queued",
+      "Queued"
+    ]);
+
+    await clickUpload(element);
+
+    expect(startChunkedUpload).toHaveBeenCalledTimes(2);
+    expect(startChunkedUpload.mock.calls[0][0].fileName).toBe("first.pdf");
+    expect(startChunkedUpload.mock.calls[1][0].fileName).toBe("second.pdf");
+    // The second file starts only once the first file's chunk is sent
+    expect(startChunkedUpload.mock.invocationCallOrder[1]).toBeGreaterThan(
+      appendChunk.mock.invocationCallOrder[0]
+    );
+    expect(element.shadowRoot.textContent).toContain(
+      "2 file(s) have been uploaded successfully."
+    );
+    // The status summary refresh does not count as another visit
+    expect(validateToken).toHaveBeenLastCalledWith({
+      token: TOKEN,
+      recordVisit: false
+    });
+  });
+
+  it("keeps a failed file on its row and retries it", async () => {
+    startChunkedUpload
+      .mockRejectedValueOnce({ body: { message: "Server unavailable" } })
+      .mockResolvedValueOnce(startedSession("key-1"));
+    appendChunk.mockResolvedValueOnce(completedSession("key-1"));
+    const element = await createComponent();
+
+    await addFiles(element, [createPdf("scan.pdf")]);
+    await clickUpload(element);
+
+    const [row] = getFileRows(element);
+    expect(getStatusLabel(row)).toBe("Failed: Server unavailable");
+    expect(element.shadowRoot.textContent).toContain(
+      "0 of 1 file(s) uploaded, 1 failed"
+    );
+
+    findRowButton(row, "utility:refresh").click();
+    await flushPromises();
+
+    expect(startChunkedUpload).toHaveBeenCalledTimes(2);
+    expect(appendChunk).toHaveBeenCalledTimes(1);
+    expect(element.shadowRoot.textContent).toContain(
+      "1 file(s) have been uploaded successfully."
+    );
+  });
+
+  it("cancels an upload and does not offer to retry it", async () => {
+    let resolveStart;
+    startChunkedUpload.mockReturnValueOnce(
+      new Promise((resolve) => {
+        resolveStart = resolve;
+      })
+    );
+    const element = await createComponent();
+
+    await addFiles(element, [createPdf("large.pdf")]);
+    await clickUpload(element);
+
+    let [row] = getFileRows(element);
+    expect(getStatusLabel(row)).toBe("Uploading 0%");
+    findRowButton(row, "utility:close").click();
+    await flushPromises();
+    expect(getStatusLabel(getFileRows(element)[0])).toBe("Cancelling...");
+
+    resolveStart(startedSession("key-1"));
+    await flushPromises();
+
+    [row] = getFileRows(element);
+    expect(getStatusLabel(row)).toBe("Cancelled");
+    expect(appendChunk).not.toHaveBeenCalled();
+    expect(cancelChunkedUpload).toHaveBeenCalledWith({
+      token: TOKEN,
+      uploadKey: "key-1"
+    });
+    expect(findRowButton(row, "utility:refresh")).toBeUndefined();
+    expect(findRowButton(row, "utility:delete")).toBeDefined();
+  });
+
+  it("leaves failed files out of the per-upload limit", async () => {
+    validateToken.mockResolvedValue({
+      ...VALID_TOKEN_RESULT,
+      maxFilesPerUpload: 1
+    });
+    startChunkedUpload.mockRejectedValueOnce({
+      body: { message: "Server unavailable" }
+    });
+    const element = await createComponent();
+
+    await addFiles(element, [createPdf("first.pdf")]);
+    await clickUpload(element);
+    await addFiles(element, [createPdf("second.pdf")]);
+
+    let rows = getFileRows(element);
+    expect(rows.map(getStatusLabel)).toEqual([
+      "Failed: Server unavailable",
+      "Queued"
+    ]);
+    expect(element.shadowRoot.textContent).not.toContain("Files not added");
+
+    // The new file has taken the place, so the failed one cannot come back
+    findRowButton(rows[0], "utility:refresh").click();
+    await flushPromises();
+
+    rows = getFileRows(element);
+    expect(rows.map(getStatusLabel)).toEqual([
+      "Failed: Maximum of 1 files reached.",
+      "Queued"
+    ]);
+    expect(startChunkedUpload).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects files over the per-upload limit", async () => {
+    validateToken.mockResolvedValue({
+      ...VALID_TOKEN_RESULT,
+      maxFilesPerUpload: 1
+    });
+    const element = await createComponent();
+
+    await addFiles(element, [createPdf("first.pdf"), createPdf("second.pdf")]);
+
+    expect(getFileRows(element)).toHaveLength(1);
+    expect(element.shadowRoot.textContent).toContain(
+      "Maximum of 1 files reached."
+    );
+  });
+
+  describe("large files", () => {
+    const LARGE_FILE_TOKEN_RESULT = {
+      ...VALID_TOKEN_RESULT,
+      maxFileSizeMB: 40,
+      maxChunkedFileSizeMB: 3
+    };
+
+    beforeEach(() => {
+      validateToken.mockResolvedValue(LARGE_FILE_TOKEN_RESULT);
+      // Keys left over from a test that used only one
+      startDirectUpload.mockReset();
+      startDirectUpload
+        .mockResolvedValueOnce({
+          success: true,
+          uploadKey: "direct-1",
+          status: "Awaiting_File"
+        })
+        .mockResolvedValueOnce({
+          success: true,
+          uploadKey: "direct-2",
+          status: "Awaiting_File"
+        });
+    });
+
+    function getLargeFileUpload(element) {
+      return element.shadowRoot.querySelector("lightning-file-upload");
+    }
+
+    it("sends files over the chunk limit to the large file upload", async () => {
+      const element = await createComponent();
+
+      await addFiles(element, [createLargePdf("statement.pdf", 25)]);
+
+      expect(getFileRows(element)).toHaveLength(0);
+      expect(element.shadowRoot.textContent).toContain(
+        'Files over 3 MB are sent with "Upload a large file" below.'
+      );
+      const upload = getLargeFileUpload(element);
+      expect(upload.fileFieldName).toBe("Guest_Upload_Key_fileupload__c");
+      expect(upload.fileFieldValue).toBe("direct-1");
+      expect(startChunkedUpload).not.toHaveBeenCalled();
+    });
+
+    it("lists an uploaded large file and issues a new key", async () => {
+      getUploadStatus.mockResolvedValue({
+        success: true,
+        uploadKey: "direct-1",
+        status: "Completed",
+        fileSize: 25 * 1024 * 1024
+      });
+      const element = await createComponent();
+
+      getLargeFileUpload(element).dispatchEvent(
+        new CustomEvent("uploadfinished", {
+          detail: {
+            files: [
+              {
+                name: "statement.pdf",
+                documentId: "069000000000001AAA",
+                contentVersionId: "068000000000001AAA"
+              }
+            ]
+          }
+        })
+      );
+      await flushPromises();
+
+      expect(getUploadStatus).toHaveBeenCalledWith({
+        token: TOKEN,
+        uploadKey: "direct-1"
+      });
+      expect(startDirectUpload).toHaveBeenLastCalledWith({
+        token: TOKEN,
+        uploadKey: null,
+        requestItemId: null
+      });
+      expect(element.shadowRoot.textContent).toContain(
+        "1 file(s) have been uploaded successfully."
+      );
+    });
+
+    it("does not offer the large file upload when chunks cover the limit", async () => {
+      validateToken.mockResolvedValue({
+        ...VALID_TOKEN_RESULT,
+        maxFileSizeMB: 3,
+        maxChunkedFileSizeMB: 3
+      });
+      const element = await createComponent();
+
+      expect(getLargeFileUpload(element)).toBeNull();
+      expect(startDirectUpload).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("combining photos", () => {
+    const MERGE_TOKEN_RESULT = {
+      ...VALID_TOKEN_RESULT,
+      allowedExtensions: ["pdf", "jpg"],
+      allowPdfMerge: true,
+      imageMaxDimension: 1600
+    };
+
+    function findMergeButton(element) {
+      return Array.from(
+        element.shadowRoot.querySelectorAll("lightning-button")
+      ).find(
+        (candidate) => candidate.label === "Combine 2 photos into one PDF"
+      );
+    }
+
+    beforeEach(() => {
+      validateToken.mockResolvedValue(MERGE_TOKEN_RESULT);
+    });
+
+    it("replaces the photos with one PDF sized for the upload limit", async () => {
+      buildPdfFromImages.mockResolvedValue(createPdf("photos-merged.pdf"));
+      const element = await createComponent();
+      const photos = [createPhoto("front.jpg"), createPhoto("back.jpg")];
+
+      await addFiles(element, photos);
+      findMergeButton(element).click();
+      await flushPromises();
+
+      expect(buildPdfFromImages).toHaveBeenCalledWith(photos, {
+        maxDimension: 1600,
+        maxBytes: 3 * 1024 * 1024,
+        fileName: expect.stringMatching(/^photos-.+\.pdf$/)
+      });
+      const rows = getFileRows(element);
+      expect(rows).toHaveLength(1);
+      expect(rows[0].textContent).toContain("photos-merged.pdf");
+    });
+
+    it("keeps the photos when the combined PDF is still over the limit", async () => {
+      buildPdfFromImages.mockResolvedValue(createLargePdf("photos.pdf", 4));
+      const element = await createComponent();
+
+      await addFiles(element, [
+        createPhoto("front.jpg"),
+        createPhoto("back.jpg")
+      ]);
+      findMergeButton(element).click();
+      await flushPromises();
+
+      expect(element.shadowRoot.textContent).toContain(
+        "over the 3 MB limit. Combine fewer photos at a time."
+      );
+      expect(getFileRows(element)).toHaveLength(2);
+    });
+  });
+});
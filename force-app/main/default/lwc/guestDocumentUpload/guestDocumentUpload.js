@@ -1,9 +1,51 @@
 import { LightningElement } from "lwc";
 import { createLogger } from "c/docReqLogger";
+import {
+  isOptimizableImage,
+  optimizeImage,
+  buildPdfFromImages
+} from "c/docReqImageUtils";
+import { getFileTypeMismatchReason } from "c/docReqFileTypeUtils";
 import validateToken from "@salesforce/apex/GuestDocumentUploadService.validateToken";
-import uploadFiles from "@salesforce/apex/GuestDocumentUploadService.uploadFiles";
+import sendVerificationCode from "@salesforce/apex/GuestDocumentUploadService.sendVerificationCode";
+import verifyCode from "@salesforce/apex/GuestDocumentUploadService.verifyCode";
+import startChunkedUpload from "@salesforce/apex/GuestDocumentUploadService.startChunkedUpload";
+import startChunkedReplacementUpload from "@salesforce/apex/GuestDocumentUploadService.startChunkedReplacementUpload";
+import appendChunk from "@salesforce/apex/GuestDocumentUploadService.appendChunk";
+import getUploadStatus from "@salesforce/apex/GuestDocumentUploadService.getUploadStatus";
+import cancelChunkedUpload from "@salesforce/apex/GuestDocumentUploadService.cancelChunkedUpload";
+import startDirectUpload from "@salesforce/apex/GuestDocumentUploadService.startDirectUpload";
 import getPublicDebugSettings from "@salesforce/apex/GuestDocumentUploadService.getPublicDebugSettings";
 
+// Chunk retry and assembly polling
+const CHUNK_MAX_ATTEMPTS = 4;
+const CHUNK_RETRY_BASE_DELAY_MS = 1000;
+const STATUS_POLL_INTERVAL_MS = 2000;
+const STATUS_POLL_MAX_ATTEMPTS = 60;
+
+// localStorage key prefix for resumable upload sessions
+const RESUME_STORAGE_PREFIX = "docReqUpload:";
+
+// sessionStorage key prefix for verified sessions, kept until the tab is closed
+const VERIFIED_SESSION_STORAGE_PREFIX = "docReqVerified:";
+
+// Slot for files that are not for a specific requested item
+const OTHER_SLOT_KEY = "other";
+
+// Per-file upload states
+const FILE_STATUS = {
+  QUEUED: "queued",
+  UPLOADING: "uploading",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled"
+};
+
+/**
+ * Raised from the chunk loop when the recipient cancels a file mid-upload.
+ */
+class UploadCancelledError extends Error {}
+
 export default class GuestDocumentUpload extends LightningElement {
   // Logger instance
   logger = createLogger("GuestUpload", false);
@@ -11,34 +53,71 @@ export default class GuestDocumentUpload extends LightningElement {
   // State
   isLoading = true;
   isInvalid = false;
+  isRateLimited = false;
   isExpired = false;
   isValid = false;
   isUploading = false;
   isSuccess = false;
 
+  // Identity verification
+  isVerificationRequired = false;
+  maskedEmail = "";
+  verificationCode = "";
+  codeSent = false;
+  isSendingCode = false;
+  isCheckingCode = false;
+  verificationError = null;
+
   // Token data
   token = null;
+  sessionToken = null;
   requestNumber = "";
   requestDate = "";
   instructions = "";
   existingFileCount = 0;
   maxFileSizeMB = 5;
+  // Larger files go through the large file upload; null when all are chunked
+  maxChunkedFileSizeMB = null;
   maxFilesPerUpload = 10;
+  // What the whole request can still receive; null when there is no cap
+  remainingFiles = null;
+  remainingSizeBytes = null;
   allowedExtensions = [];
+  allowImageOptimization = false;
+  imageMaxDimension = 2000;
+  allowPdfMerge = false;
+  requestItems = [];
+  returnedFiles = [];
+  statusSummary = null;
 
   // File handling
   selectedFiles = [];
-  validationError = null;
+  rejectedFiles = [];
+  dragSlotKey = null;
+  isPreparingFiles = false;
+  optimizeImages = true;
+  mergeError = null;
   filesUploadedCount = 0;
+  nextFileId = 0;
+  cancelRequestedIds = new Set();
+
+  // Large file upload
+  largeFileUploadKey = null;
+  largeFileItemId = null;
+  largeFileError = null;
 
   async connectedCallback() {
     this.logger.lifecycle("connectedCallback started");
 
+    // Paste events go to the focused element, so listen on the whole page
+    this.boundHandlePaste = this.handlePaste.bind(this);
+    window.addEventListener("paste", this.boundHandlePaste);
+
     // Initialize debug settings first
     await this.initializeDebugSettings();
 
     this.extractTokenFromUrl();
-    this.validateTokenAndLoad();
+    this.validateTokenAndLoad(true);
   }
 
   async initializeDebugSettings() {
@@ -54,17 +133,27 @@ export default class GuestDocumentUpload extends LightningElement {
     }
   }
 
+  disconnectedCallback() {
+    window.removeEventListener("paste", this.boundHandlePaste);
+  }
+
   extractTokenFromUrl() {
     const urlParams = new URLSearchParams(window.location.search);
     this.token = urlParams.get("token");
+    this.sessionToken = this.token ? this.readSessionToken() : null;
     this.logger.log("Token extracted from URL", {
       tokenPresent: !!this.token,
       tokenLength: this.token?.length,
+      sessionPresent: !!this.sessionToken,
       fullUrl: window.location.href
     });
   }
 
-  async validateTokenAndLoad() {
+  /**
+   * Validates the link and loads the request. recordVisit is true only on the
+   * first load, so the server logs one visit per page load.
+   */
+  async validateTokenAndLoad(recordVisit = false) {
     this.logger.log("Starting token validation");
 
     if (!this.token) {
@@ -79,8 +168,9 @@ export default class GuestDocumentUpload extends LightningElement {
       this.logger.apiStart("validateToken", {
         token: this.token.substring(0, 8) + "..."
       });
-      const result = await validateToken({ token: this.token });
+      const result = await this.loadTokenResult(recordVisit);
       this.logger.apiSuccess("validateToken", result);
+      this.statusSummary = result.statusSummary || null;
 
       if (result.isValid) {
         this.requestNumber = result.requestNumber;
@@ -88,22 +178,49 @@ export default class GuestDocumentUpload extends LightningElement {
         this.instructions = result.instructions;
         this.existingFileCount = result.existingFileCount || 0;
         this.maxFileSizeMB = result.maxFileSizeMB || 5;
+        this.maxChunkedFileSizeMB = result.maxChunkedFileSizeMB ?? null;
         this.maxFilesPerUpload = result.maxFilesPerUpload || 10;
+        this.remainingFiles = result.remainingFiles ?? null;
+        this.remainingSizeBytes = result.remainingSizeBytes ?? null;
         this.allowedExtensions = result.allowedExtensions || [];
+        this.allowImageOptimization = result.allowImageOptimization || false;
+        this.imageMaxDimension = result.imageMaxDimension || 2000;
+        this.allowPdfMerge = result.allowPdfMerge || false;
+        this.requestItems = result.items || [];
+        this.returnedFiles = result.returnedFiles || [];
         this.isValid = true;
 
         this.logger.log("Token validated successfully", {
           requestNumber: this.requestNumber,
           existingFileCount: this.existingFileCount,
           maxFileSizeMB: this.maxFileSizeMB,
+          maxChunkedFileSizeMB: this.maxChunkedFileSizeMB,
           maxFilesPerUpload: this.maxFilesPerUpload,
-          allowedExtensions: this.allowedExtensions
+          remainingFiles: this.remainingFiles,
+          remainingSizeBytes: this.remainingSizeBytes,
+          allowedExtensions: this.allowedExtensions,
+          allowImageOptimization: this.allowImageOptimization,
+          imageMaxDimension: this.imageMaxDimension,
+          allowPdfMerge: this.allowPdfMerge,
+          requestItemCount: this.requestItems.length,
+          returnedFileCount: this.returnedFiles.length
         });
+        if (this.allowsLargeFiles) {
+          await this.prepareLargeFileUpload();
+        }
+      } else if (result.verificationRequired) {
+        this.isVerificationRequired = true;
+        this.maskedEmail = result.maskedEmail || "";
+        this.logger.log("Identity verification required");
       } else {
         this.isInvalid = true;
         this.isExpired = result.isExpired || false;
+        this.isRateLimited = result.isRateLimited || false;
+        this.requestNumber = result.requestNumber || "";
         this.logger.warn("Token validation failed", {
-          isExpired: this.isExpired
+          isExpired: this.isExpired,
+          isRateLimited: this.isRateLimited,
+          status: this.statusSummary?.status
         });
       }
     } catch (error) {
@@ -115,6 +232,161 @@ export default class GuestDocumentUpload extends LightningElement {
     }
   }
 
+  /**
+   * Validates the verified session saved for this link, if any, and falls back
+   * to the link itself once the session has ended.
+   */
+  async loadTokenResult(recordVisit) {
+    if (this.sessionToken) {
+      const result = await validateToken({
+        token: this.sessionToken,
+        recordVisit
+      });
+      if (result.requestNumber || result.isRateLimited) {
+        return result;
+      }
+      this.logger.log("Verified session ended");
+      this.clearSessionToken();
+    }
+    return validateToken({ token: this.token, recordVisit });
+  }
+
+  /**
+   * Token the upload calls authenticate with: the verified session when the
+   * request needs one, otherwise the link's own token.
+   */
+  get accessToken() {
+    return this.sessionToken || this.token;
+  }
+
+  get sendCodeLabel() {
+    return this.codeSent ? "Send a New Code" : "Send Code";
+  }
+
+  get sendCodeVariant() {
+    return this.codeSent ? "neutral" : "brand";
+  }
+
+  get verifyDisabled() {
+    return this.isCheckingCode || !this.verificationCode;
+  }
+
+  async handleSendCode() {
+    this.logger.action("handleSendCode");
+    this.isSendingCode = true;
+    this.verificationError = null;
+    try {
+      this.logger.apiStart("sendVerificationCode");
+      const result = await sendVerificationCode({ token: this.token });
+      this.logger.apiSuccess("sendVerificationCode", {
+        success: result.success
+      });
+      if (result.success) {
+        this.codeSent = true;
+        this.maskedEmail = result.maskedEmail || this.maskedEmail;
+      } else {
+        this.verificationError = this.formatVerificationError(result);
+      }
+    } catch (error) {
+      this.logger.apiError("sendVerificationCode", error);
+      this.verificationError = "We could not send the code. Please try again.";
+    } finally {
+      this.isSendingCode = false;
+    }
+  }
+
+  handleCodeChange(event) {
+    this.verificationCode = event.target.value;
+  }
+
+  async handleVerifyCode() {
+    this.logger.action("handleVerifyCode");
+    this.isCheckingCode = true;
+    this.verificationError = null;
+    try {
+      this.logger.apiStart("verifyCode");
+      const result = await verifyCode({
+        token: this.token,
+        code: this.verificationCode
+      });
+      this.logger.apiSuccess("verifyCode", {
+        success: result.success,
+        attemptsRemaining: result.attemptsRemaining
+      });
+      if (!result.success) {
+        this.verificationError = this.formatVerificationError(result);
+        return;
+      }
+
+      this.sessionToken = result.sessionToken;
+      this.writeSessionToken(result.sessionToken);
+      this.isVerificationRequired = false;
+      this.verificationCode = "";
+      this.isLoading = true;
+      await this.validateTokenAndLoad();
+    } catch (error) {
+      this.logger.apiError("verifyCode", error);
+      this.verificationError = "We could not check the code. Please try again.";
+    } finally {
+      this.isCheckingCode = false;
+    }
+  }
+
+  formatVerificationError(result) {
+    if (result.lockedUntil) {
+      const time = new Date(result.lockedUntil).toLocaleTimeString([], {
+        hour: "numeric",
+        minute: "2-digit"
+      });
+      return `${result.errorMessage} You can try again after ${time}.`;
+    }
+    return result.errorMessage || "Verification failed. Please try again.";
+  }
+
+  /**
+   * Refreshes the status timeline after an upload so it lists the new files.
+   * The upload already succeeded, so a failure here only leaves the old summary.
+   */
+  async refreshStatusSummary() {
+    try {
+      this.logger.apiStart("validateToken", { reason: "refreshStatusSummary" });
+      const result = await validateToken({
+        token: this.accessToken,
+        recordVisit: false
+      });
+      this.logger.apiSuccess("validateToken", result);
+      this.statusSummary = result.statusSummary || this.statusSummary;
+    } catch (error) {
+      this.logger.apiError("validateToken", error);
+    }
+  }
+
+  get hasStatusSummary() {
+    return !!this.statusSummary;
+  }
+
+  /**
+   * A request that is found but closed shows its history instead of an error.
+   */
+  get showClosedStatus() {
+    return this.isInvalid && this.hasStatusSummary;
+  }
+
+  get showNotFound() {
+    return this.isInvalid && !this.hasStatusSummary;
+  }
+
+  get notFoundTitle() {
+    return this.isRateLimited ? "Please Try Again Later" : "Request Not Found";
+  }
+
+  /**
+   * The timeline is shown on the upload form once something was received.
+   */
+  get showStatusOnForm() {
+    return this.statusSummary?.files?.length > 0;
+  }
+
   get acceptedFileTypes() {
     if (!this.allowedExtensions || this.allowedExtensions.length === 0) {
       return ".pdf,.jpg,.jpeg,.png,.doc,.docx,.xls,.xlsx";
@@ -129,94 +401,661 @@ export default class GuestDocumentUpload extends LightningElement {
     return this.allowedExtensions.join(", ");
   }
 
-  get hasSelectedFiles() {
-    return this.selectedFiles && this.selectedFiles.length > 0;
+  get hasQueuedFiles() {
+    return this.selectedFiles.some(
+      (entry) => entry.status === FILE_STATUS.QUEUED
+    );
+  }
+
+  get isBusy() {
+    return this.isUploading || this.isPreparingFiles;
   }
 
   get uploadDisabled() {
-    return !this.hasSelectedFiles || this.isUploading || this.validationError;
+    return !this.hasQueuedFiles || this.isBusy;
+  }
+
+  get maxFileSizeBytes() {
+    return this.maxFileSizeMB * 1024 * 1024;
+  }
+
+  /**
+   * Whether files too large to send in chunks can be uploaded straight into
+   * Salesforce Files with lightning-file-upload.
+   */
+  get allowsLargeFiles() {
+    return (
+      this.maxChunkedFileSizeMB !== null &&
+      this.maxFileSizeMB > this.maxChunkedFileSizeMB
+    );
+  }
+
+  /**
+   * Largest file the upload queue takes; larger ones go through the large
+   * file upload.
+   */
+  get maxQueuedFileSizeMB() {
+    return this.allowsLargeFiles
+      ? this.maxChunkedFileSizeMB
+      : this.maxFileSizeMB;
+  }
+
+  get maxQueuedFileSizeBytes() {
+    return this.maxQueuedFileSizeMB * 1024 * 1024;
+  }
+
+  get largeFileItemValue() {
+    return this.largeFileItemId || "";
+  }
+
+  /**
+   * Files picked on this visit that still count against the request's totals.
+   */
+  get countedFiles() {
+    return this.selectedFiles.filter(
+      (entry) => entry.status !== FILE_STATUS.CANCELLED
+    );
+  }
+
+  /**
+   * Files picked on this visit that are waiting, uploading or uploaded. Failed
+   * and cancelled files do not take a place in this upload.
+   */
+  get activeFiles() {
+    return this.selectedFiles.filter(
+      (entry) =>
+        entry.status === FILE_STATUS.QUEUED ||
+        entry.status === FILE_STATUS.UPLOADING ||
+        entry.status === FILE_STATUS.DONE
+    );
+  }
+
+  get countedBytes() {
+    return this.countedFiles.reduce((total, entry) => total + entry.size, 0);
+  }
+
+  get hasRemainingFilesLimit() {
+    return this.remainingFiles !== null;
+  }
+
+  get remainingSizeMB() {
+    return this.remainingSizeBytes === null
+      ? null
+      : Math.floor(this.remainingSizeBytes / (1024 * 1024));
+  }
+
+  get hasRemainingSizeLimit() {
+    return this.remainingSizeBytes !== null;
+  }
+
+  get isPdfAllowed() {
+    return (
+      this.allowedExtensions.length === 0 ||
+      this.allowedExtensions.includes("pdf")
+    );
+  }
+
+  /**
+   * Extension for re-encoded photos, or null if JPEG uploads are not allowed.
+   */
+  get optimizedImageExtension() {
+    if (
+      this.allowedExtensions.length === 0 ||
+      this.allowedExtensions.includes("jpg")
+    ) {
+      return "jpg";
+    }
+    return this.allowedExtensions.includes("jpeg") ? "jpeg" : null;
+  }
+
+  get showOptimizeOption() {
+    return this.allowImageOptimization && !!this.optimizedImageExtension;
+  }
+
+  get hasRequestItems() {
+    return this.requestItems.length > 0;
+  }
+
+  get hasReturnedFiles() {
+    return this.returnedFiles.length > 0;
+  }
+
+  /**
+   * One upload slot per file sent back for replacement, then one per requested
+   * item, followed by a slot for anything else. Without requested items or
+   * returned files the general slot is the only one.
+   */
+  get fileSlots() {
+    const slots = [
+      ...this.returnedFiles.map((returned) =>
+        this.buildReplacementSlot(returned)
+      ),
+      ...this.requestItems.map((item) => this.buildFileSlot(item.id, item))
+    ];
+    slots.push(this.buildFileSlot(OTHER_SLOT_KEY, null));
+    return slots;
+  }
+
+  buildFileSlot(key, item) {
+    const itemId = item ? item.id : null;
+    const files = this.selectedFiles.filter(
+      (entry) => entry.requestItemId === itemId && !entry.replacesFileId
+    );
+    let requirementLabel = null;
+    if (item) {
+      requirementLabel = item.isRequired ? "Required" : "Optional";
+    }
+
+    return {
+      ...this.buildSlotState(key, files, this.getMergeableImageEntries(itemId)),
+      itemId: itemId || "",
+      replacesFileId: "",
+      name: item ? item.name : "Other documents",
+      description: item?.description,
+      showHeader: this.hasRequestItems || this.hasReturnedFiles,
+      requirementLabel,
+      receivedLabel:
+        item?.fileCount > 0 ? `${item.fileCount} file(s) received` : null
+    };
+  }
+
+  /**
+   * Slot for the replacement of a file the reviewer sent back. Files added
+   * here are linked to the file they replace and its requested item.
+   */
+  buildReplacementSlot(returned) {
+    const files = this.selectedFiles.filter(
+      (entry) => entry.replacesFileId === returned.id
+    );
+
+    return {
+      ...this.buildSlotState(
+        `replace-${returned.id}`,
+        files,
+        this.getMergeableImageEntries(returned.requestItemId, returned.id)
+      ),
+      itemId: returned.requestItemId || "",
+      replacesFileId: returned.id,
+      name: `Replace ${returned.fileName}`,
+      description: returned.requestItemName
+        ? `Provided for: ${returned.requestItemName}`
+        : null,
+      rejectionReason: returned.rejectionReason,
+      showHeader: true,
+      requirementLabel: "Replacement needed",
+      receivedLabel: null
+    };
+  }
+
+  buildSlotState(key, files, mergeable) {
+    return {
+      key,
+      files,
+      hasFiles: files.length > 0,
+      canMerge:
+        this.allowPdfMerge &&
+        this.isPdfAllowed &&
+        !this.isBusy &&
+        mergeable.length >= 2,
+      mergeLabel: `Combine ${mergeable.length} photos into one PDF`,
+      dropZoneClass:
+        this.dragSlotKey === key ? "drop-zone drop-zone_active" : "drop-zone"
+    };
+  }
+
+  get requestItemOptions() {
+    return [
+      ...this.requestItems.map((item) => ({
+        label: item.name,
+        value: item.id
+      })),
+      { label: "Other documents", value: "" }
+    ];
+  }
+
+  /**
+   * Required items with no file received yet, shown after an upload.
+   */
+  get missingRequiredItems() {
+    return this.requestItems.filter(
+      (item) => item.isRequired && !(item.fileCount > 0)
+    );
+  }
+
+  get hasMissingRequiredItems() {
+    return this.missingRequiredItems.length > 0;
+  }
+
+  getMergeableImageEntries(requestItemId, replacesFileId = null) {
+    return this.selectedFiles.filter(
+      (entry) =>
+        entry.requestItemId === requestItemId &&
+        entry.replacesFileId === replacesFileId &&
+        entry.status === FILE_STATUS.QUEUED &&
+        isOptimizableImage(entry.file)
+    );
+  }
+
+  /**
+   * Requested item a slot element belongs to, or null for the general slot.
+   */
+  getSlotItemId(element) {
+    return element.dataset.itemId || null;
+  }
+
+  /**
+   * Returned file a replacement slot element belongs to, or null for other slots.
+   */
+  getSlotReplacesFileId(element) {
+    return element.dataset.replacesId || null;
+  }
+
+  get uploadSummary() {
+    const uploaded = this.countFilesWithStatus(FILE_STATUS.DONE);
+    const failed = this.countFilesWithStatus(FILE_STATUS.FAILED);
+    if (!this.isUploading && uploaded === 0 && failed === 0) {
+      return null;
+    }
+    const summary = `${uploaded} of ${this.selectedFiles.length} file(s) uploaded`;
+    return failed > 0 ? `${summary}, ${failed} failed` : summary;
+  }
+
+  countFilesWithStatus(status) {
+    return this.selectedFiles.filter((entry) => entry.status === status).length;
+  }
+
+  get hasRejectedFiles() {
+    return this.rejectedFiles.length > 0;
   }
 
   handleFileChange(event) {
+    const requestItemId = this.getSlotItemId(event.target);
+    const replacesFileId = this.getSlotReplacesFileId(event.target);
     this.logger.action("handleFileChange", {
-      fileCount: event.target.files?.length
+      fileCount: event.target.files?.length,
+      requestItemId,
+      replacesFileId
+    });
+    this.addFiles(event.target.files, requestItemId, replacesFileId);
+  }
+
+  handleDragOver(event) {
+    // Required for the browser to allow a drop
+    event.preventDefault();
+    if (!this.isBusy) {
+      this.dragSlotKey = event.currentTarget.dataset.slot;
+    }
+  }
+
+  handleDragLeave() {
+    this.dragSlotKey = null;
+  }
+
+  handleDrop(event) {
+    event.preventDefault();
+    this.dragSlotKey = null;
+    if (this.isBusy) {
+      this.logger.warn("Drop ignored while files are busy");
+      return;
+    }
+    const requestItemId = this.getSlotItemId(event.currentTarget);
+    const replacesFileId = this.getSlotReplacesFileId(event.currentTarget);
+    this.logger.action("handleDrop", {
+      fileCount: event.dataTransfer?.files?.length,
+      requestItemId,
+      replacesFileId
+    });
+    this.addFiles(event.dataTransfer?.files, requestItemId, replacesFileId);
+  }
+
+  /**
+   * Moves a file that has not been uploaded yet to another requested item.
+   */
+  handleFileItemChange(event) {
+    const entry = this.findFileEntry(event.target.dataset.id);
+    if (!entry || !entry.canChangeItem) {
+      return;
+    }
+    const requestItemId = event.detail.value || null;
+    this.logger.action("handleFileItemChange", {
+      fileName: entry.name,
+      requestItemId
+    });
+    this.updateFileEntry(entry.id, { requestItemId });
+  }
+
+  /**
+   * Adds images pasted anywhere on the page, e.g. a phone screenshot. Pasted
+   * images go to the general slot and can be moved to a requested item.
+   */
+  handlePaste(event) {
+    if (!this.isValid || this.isBusy) {
+      return;
+    }
+
+    const items = Array.from(event.clipboardData?.items || []);
+    const stamp = this.getTimestampSuffix();
+    const images = items
+      .filter((item) => item.kind === "file" && item.type.startsWith("image/"))
+      .map((item, index) => {
+        const blob = item.getAsFile();
+        const extension = blob.type.split("/")[1] || "png";
+        const suffix = index > 0 ? `-${index + 1}` : "";
+        // Pasted images are all called "image.png", so give each a unique name
+        return new File([blob], `pasted-image-${stamp}${suffix}.${extension}`, {
+          type: blob.type,
+          lastModified: Date.now()
+        });
+      });
+
+    if (images.length === 0) {
+      return;
+    }
+    event.preventDefault();
+    this.logger.action("handlePaste", { imageCount: images.length });
+    this.addFiles(images);
+  }
+
+  getTimestampSuffix() {
+    return new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+  }
+
+  handleOptimizeImagesChange(event) {
+    this.optimizeImages = event.target.checked;
+    this.logger.action("handleOptimizeImagesChange", {
+      optimizeImages: this.optimizeImages
     });
-    this.validationError = null;
-    const files = event.target.files;
+  }
 
+  /**
+   * Validates each file on its own and appends the valid ones to the selection.
+   * Files that fail validation are listed in rejectedFiles with the reason.
+   */
+  async addFiles(files, requestItemId = null, replacesFileId = null) {
     if (!files || files.length === 0) {
       this.logger.debug("No files selected");
-      this.selectedFiles = [];
       return;
     }
 
-    // Validate file count
-    if (files.length > this.maxFilesPerUpload) {
-      this.validationError = `Too many files selected. Maximum is ${this.maxFilesPerUpload}.`;
-      this.logger.warn("File count validation failed", {
-        selected: files.length,
-        max: this.maxFilesPerUpload
+    const fileList = Array.from(files);
+    this.isPreparingFiles = true;
+    try {
+      // One file at a time so large photos are not decoded side by side
+      await fileList.reduce(
+        (previous, file, i) =>
+          previous.then(() =>
+            this.addFile(
+              file,
+              i,
+              fileList.length,
+              requestItemId,
+              replacesFileId
+            )
+          ),
+        Promise.resolve()
+      );
+    } finally {
+      this.isPreparingFiles = false;
+    }
+
+    this.logger.log("Files added", {
+      total: this.selectedFiles.length,
+      rejected: this.rejectedFiles.length
+    });
+  }
+
+  async addFile(file, index, count, requestItemId, replacesFileId) {
+    this.logger.debug(`Validating file ${index + 1}/${count}`, {
+      name: file.name,
+      size: file.size,
+      type: file.type
+    });
+
+    let reason = this.getFileRejectionReason(file);
+    let prepared = file;
+    if (!reason && this.shouldOptimizeImage(file)) {
+      prepared = await this.optimizeSelectedImage(file);
+    }
+    if (!reason) {
+      reason = this.getPreparedFileRejectionReason(prepared, file);
+    }
+    if (!reason) {
+      reason = await this.getFileContentRejectionReason(prepared);
+    }
+
+    if (reason) {
+      this.logger.warn("File validation failed", {
+        fileName: file.name,
+        reason
       });
-      this.selectedFiles = [];
+      this.nextFileId += 1;
+      this.rejectedFiles = [
+        ...this.rejectedFiles,
+        { id: `rejected-${this.nextFileId}`, name: file.name, reason }
+      ];
       return;
     }
+    this.selectedFiles = [
+      ...this.selectedFiles,
+      this.buildFileEntry(prepared, file, requestItemId, replacesFileId)
+    ];
+  }
 
-    const processedFiles = [];
-    const maxSizeBytes = this.maxFileSizeMB * 1024 * 1024;
+  /**
+   * Returns why a file cannot be added to the selection, or null if it can.
+   * Type and size are checked after any photo optimization.
+   */
+  getFileRejectionReason(file) {
+    if (this.activeFiles.length >= this.maxFilesPerUpload) {
+      return this.maxFilesReachedMessage;
+    }
+    if (
+      this.remainingFiles !== null &&
+      this.countedFiles.length >= this.remainingFiles
+    ) {
+      return "No more files can be added to this request.";
+    }
+    if (file.size === 0) {
+      return "File is empty.";
+    }
+    const sourceKey = this.getFileSourceKey(file);
+    if (this.selectedFiles.some((entry) => entry.sourceKey === sourceKey)) {
+      return "This file is already in the list.";
+    }
+    return null;
+  }
 
-    this.logger.group("File Validation");
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      this.logger.debug(`Validating file ${i + 1}/${files.length}`, {
-        name: file.name,
-        size: file.size,
-        type: file.type
+  get maxFilesReachedMessage() {
+    return `Maximum of ${this.maxFilesPerUpload} files reached.`;
+  }
+
+  getPreparedFileRejectionReason(file, sourceFile) {
+    const extension = file.name.includes(".")
+      ? file.name.split(".").pop().toLowerCase()
+      : "";
+
+    if (
+      this.allowedExtensions.length > 0 &&
+      !this.allowedExtensions.includes(extension)
+    ) {
+      return extension
+        ? `File type "${extension}" is not allowed.`
+        : "Files without an extension are not allowed.";
+    }
+    if (file.size > this.maxFileSizeBytes) {
+      return file === sourceFile
+        ? `Exceeds the maximum size of ${this.maxFileSizeMB} MB.`
+        : `Exceeds the maximum size of ${this.maxFileSizeMB} MB even after reducing the photo.`;
+    }
+    if (file.size > this.maxQueuedFileSizeBytes) {
+      return `Files over ${this.maxQueuedFileSizeMB} MB are sent with "Upload a large file" below.`;
+    }
+    if (
+      this.remainingSizeBytes !== null &&
+      this.countedBytes + file.size > this.remainingSizeBytes
+    ) {
+      return "Not enough space left on this request for this file.";
+    }
+    return null;
+  }
+
+  /**
+   * Checks the file's first bytes against its extension. If the file cannot be
+   * read here it is left to the server, which runs the same check.
+   */
+  async getFileContentRejectionReason(file) {
+    try {
+      return await getFileTypeMismatchReason(file);
+    } catch (error) {
+      this.logger.warn("Could not read file type", {
+        fileName: file.name,
+        error
       });
+      return null;
+    }
+  }
 
-      // Validate file size
-      if (file.size > maxSizeBytes) {
-        this.validationError = `File "${file.name}" exceeds the maximum size of ${this.maxFileSizeMB} MB.`;
-        this.logger.warn("File size validation failed", {
+  getFileSourceKey(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  shouldOptimizeImage(file) {
+    return (
+      this.showOptimizeOption && this.optimizeImages && isOptimizableImage(file)
+    );
+  }
+
+  /**
+   * Scales a photo down to the configured resolution and size limit. Falls back
+   * to the original file if the browser cannot process it.
+   */
+  async optimizeSelectedImage(file) {
+    const baseName = file.name.replace(/\.[^.]+$/, "");
+    try {
+      const optimized = await optimizeImage(file, {
+        maxDimension: this.imageMaxDimension,
+        maxBytes: this.maxQueuedFileSizeBytes,
+        fileName: `${baseName}.${this.optimizedImageExtension}`
+      });
+      if (optimized !== file) {
+        this.logger.log("Image optimized", {
           fileName: file.name,
-          fileSize: file.size,
-          maxSize: maxSizeBytes
+          originalSize: file.size,
+          optimizedSize: optimized.size
         });
-        this.selectedFiles = [];
-        this.logger.groupEnd();
-        return;
       }
+      return optimized;
+    } catch (error) {
+      this.logger.warn("Image optimization failed, using original", {
+        fileName: file.name,
+        error
+      });
+      return file;
+    }
+  }
 
-      // Validate file extension
-      const extension = file.name.split(".").pop().toLowerCase();
-      if (
-        this.allowedExtensions.length > 0 &&
-        !this.allowedExtensions.includes(extension)
-      ) {
-        this.validationError = `File type "${extension}" is not allowed.`;
-        this.logger.warn("File extension validation failed", {
-          fileName: file.name,
-          extension: extension,
-          allowedExtensions: this.allowedExtensions
-        });
-        this.selectedFiles = [];
-        this.logger.groupEnd();
+  /**
+   * Replaces the queued photos in a slot with a single PDF holding one photo
+   * per page.
+   */
+  async handleMergeImages(event) {
+    const requestItemId = this.getSlotItemId(event.currentTarget);
+    const replacesFileId = this.getSlotReplacesFileId(event.currentTarget);
+    const entries = this.getMergeableImageEntries(
+      requestItemId,
+      replacesFileId
+    );
+    if (entries.length < 2) {
+      return;
+    }
+    this.logger.action("handleMergeImages", {
+      count: entries.length,
+      requestItemId,
+      replacesFileId
+    });
+
+    this.isPreparingFiles = true;
+    this.mergeError = null;
+    try {
+      const pdf = await buildPdfFromImages(
+        entries.map((entry) => entry.file),
+        {
+          maxDimension: this.imageMaxDimension,
+          maxBytes: this.maxQueuedFileSizeBytes,
+          fileName: `photos-${this.getTimestampSuffix()}.pdf`
+        }
+      );
+
+      if (pdf.size > this.maxQueuedFileSizeBytes) {
+        this.mergeError = `The combined PDF would be ${this.formatFileSize(pdf.size)}, over the ${this.maxQueuedFileSizeMB} MB limit. Combine fewer photos at a time.`;
+        this.logger.warn("Merged PDF too large", { size: pdf.size });
         return;
       }
 
-      processedFiles.push({
-        name: file.name,
-        size: file.size,
-        sizeDisplay: this.formatFileSize(file.size),
-        file: file
+      const mergedIds = new Set(entries.map((entry) => entry.id));
+      const pdfEntry = this.buildFileEntry(
+        pdf,
+        pdf,
+        requestItemId,
+        replacesFileId
+      );
+      this.selectedFiles = this.selectedFiles.flatMap((entry) => {
+        if (entry.id === entries[0].id) {
+          return [pdfEntry];
+        }
+        return mergedIds.has(entry.id) ? [] : [entry];
       });
+      entries.forEach((entry) => this.discardPartialUpload(entry));
+
+      this.logger.log("Photos combined into PDF", {
+        photos: entries.length,
+        fileName: pdf.name,
+        size: pdf.size
+      });
+    } catch (error) {
+      this.logger.error("PDF merge failed", error);
+      this.mergeError =
+        "The photos could not be combined. You can still upload them separately.";
+    } finally {
+      this.isPreparingFiles = false;
     }
-    this.logger.groupEnd();
+  }
+
+  handleRemoveFile(event) {
+    const entry = this.findFileEntry(event.currentTarget.dataset.id);
+    if (!entry || !entry.canRemove) {
+      return;
+    }
+    this.logger.action("handleRemoveFile", {
+      fileName: entry.name,
+      status: entry.status
+    });
+
+    this.selectedFiles = this.selectedFiles.filter(
+      (candidate) => candidate.id !== entry.id
+    );
+    this.discardPartialUpload(entry);
+  }
 
-    this.selectedFiles = processedFiles;
-    this.logger.log("Files validated successfully", {
-      count: processedFiles.length,
-      files: processedFiles.map((f) => ({ name: f.name, size: f.sizeDisplay }))
+  handleClearRejected() {
+    this.logger.action("handleClearRejected", {
+      count: this.rejectedFiles.length
     });
+    this.rejectedFiles = [];
+  }
+
+  /**
+   * Drops any partial upload saved for a removed file so its chunks are not
+   * left on the server.
+   */
+  async discardPartialUpload(entry) {
+    const resumeKey = this.getResumeStorageKey(entry.file);
+    const uploadKey = this.readResumeKey(resumeKey);
+    if (!uploadKey) {
+      return;
+    }
+    this.clearResumeKey(resumeKey);
+    await this.cancelServerUpload(uploadKey);
   }
 
   formatFileSize(bytes) {
@@ -225,83 +1064,564 @@ export default class GuestDocumentUpload extends LightningElement {
     return (bytes / (1024 * 1024)).toFixed(1) + " MB";
   }
 
+  /**
+   * Creates the upload state for a newly selected file. sourceFile is the file
+   * as picked, when the entry holds an optimized copy of it. replacesFileId is
+   * set for a replacement of a returned file.
+   */
+  buildFileEntry(
+    file,
+    sourceFile = file,
+    requestItemId = null,
+    replacesFileId = null
+  ) {
+    this.nextFileId += 1;
+    return this.decorateFileEntry({
+      id: `file-${this.nextFileId}`,
+      name: file.name,
+      size: file.size,
+      sizeDisplay: this.formatFileSize(file.size),
+      originalSizeDisplay:
+        file !== sourceFile ? this.formatFileSize(sourceFile.size) : null,
+      sourceKey: this.getFileSourceKey(sourceFile),
+      file: file,
+      requestItemId,
+      replacesFileId,
+      status: FILE_STATUS.QUEUED,
+      progress: 0,
+      errorMessage: null,
+      isCancelling: false
+    });
+  }
+
+  /**
+   * Adds the display flags the template needs for a file row.
+   */
+  decorateFileEntry(entry) {
+    const status = entry.status;
+    const canRemove =
+      status === FILE_STATUS.QUEUED ||
+      status === FILE_STATUS.FAILED ||
+      status === FILE_STATUS.CANCELLED;
+    return {
+      ...entry,
+      requestItemValue: entry.requestItemId || "",
+      showProgress: status === FILE_STATUS.UPLOADING,
+      canCancel:
+        status === FILE_STATUS.UPLOADING &&
+        !entry.isCancelling &&
+        entry.progress < 100,
+      canRetry: status === FILE_STATUS.FAILED,
+      canRemove,
+      // A replacement stays with the file it replaces
+      canChangeItem: canRemove && !entry.replacesFileId,
+      statusLabel: this.getFileStatusLabel(entry),
+      statusClass:
+        status === FILE_STATUS.FAILED
+          ? "slds-text-body_small slds-text-color_error"
+          : "slds-text-body_small slds-text-color_weak"
+    };
+  }
+
+  getFileStatusLabel(entry) {
+    switch (entry.status) {
+      case FILE_STATUS.UPLOADING:
+        if (entry.isCancelling) {
+          return "Cancelling...";
+        }
+        return entry.progress >= 100
+          ? "Processing..."
+          : `Uploading ${entry.progress}%`;
+      case FILE_STATUS.DONE:
+        return "Uploaded";
+      case FILE_STATUS.FAILED:
+        return entry.errorMessage ? `Failed: ${entry.errorMessage}` : "Failed";
+      case FILE_STATUS.CANCELLED:
+        return "Cancelled";
+      default:
+        return "Queued";
+    }
+  }
+
+  updateFileEntry(fileId, changes) {
+    this.selectedFiles = this.selectedFiles.map((entry) => {
+      if (entry.id !== fileId) {
+        return entry;
+      }
+      return this.decorateFileEntry({ ...entry, ...changes });
+    });
+  }
+
+  findFileEntry(fileId) {
+    return this.selectedFiles.find((entry) => entry.id === fileId);
+  }
+
+  handleCancelFile(event) {
+    const entry = this.findFileEntry(event.currentTarget.dataset.id);
+    if (!entry || !entry.canCancel) {
+      return;
+    }
+    this.logger.action("handleCancelFile", {
+      fileName: entry.name,
+      status: entry.status
+    });
+
+    // Picked up by the chunk loop before the next chunk is sent
+    this.cancelRequestedIds.add(entry.id);
+    this.updateFileEntry(entry.id, { isCancelling: true });
+  }
+
+  handleRetryFile(event) {
+    const entry = this.findFileEntry(event.currentTarget.dataset.id);
+    if (!entry || entry.status !== FILE_STATUS.FAILED || !entry.canRetry) {
+      return;
+    }
+    this.logger.action("handleRetryFile", {
+      fileName: entry.name,
+      previousStatus: entry.status
+    });
+
+    // Files added since the failure may have taken its place
+    if (this.activeFiles.length >= this.maxFilesPerUpload) {
+      this.updateFileEntry(entry.id, {
+        errorMessage: this.maxFilesReachedMessage
+      });
+      return;
+    }
+
+    this.updateFileEntry(entry.id, {
+      status: FILE_STATUS.QUEUED,
+      progress: 0,
+      errorMessage: null
+    });
+    this.processUploadQueue();
+  }
+
   async handleUpload() {
-    if (!this.hasSelectedFiles) {
-      this.logger.warn("handleUpload called with no files selected");
+    if (!this.hasQueuedFiles) {
+      this.logger.warn("handleUpload called with no files queued");
       return;
     }
 
     this.logger.action("handleUpload", {
-      fileCount: this.selectedFiles.length
+      fileCount: this.countFilesWithStatus(FILE_STATUS.QUEUED)
     });
+    await this.processUploadQueue();
+  }
+
+  /**
+   * Uploads queued files one at a time so only one chunk is ever in flight.
+   * Files queued while the queue is running (retries) are picked up by it.
+   */
+  async processUploadQueue() {
+    if (this.isUploading) {
+      return;
+    }
+
     this.isUploading = true;
-    this.validationError = null;
+    try {
+      await this.uploadNextQueuedFile();
+    } finally {
+      this.isUploading = false;
+      this.logCurrentState();
+    }
+    this.finishUploadQueue();
+  }
+
+  async uploadNextQueuedFile() {
+    const next = this.selectedFiles.find(
+      (entry) => entry.status === FILE_STATUS.QUEUED
+    );
+    if (!next) {
+      return;
+    }
+    await this.uploadFileEntry(next);
+    await this.uploadNextQueuedFile();
+  }
+
+  /**
+   * Uploads a single file and records the outcome on its row. Failures are
+   * kept on the row so the other files carry on.
+   */
+  async uploadFileEntry(entry) {
+    this.cancelRequestedIds.delete(entry.id);
+    this.updateFileEntry(entry.id, {
+      status: FILE_STATUS.UPLOADING,
+      progress: 0,
+      errorMessage: null,
+      isCancelling: false
+    });
 
     try {
-      // Convert files to base64 in parallel
-      this.logger.log("Converting files to base64...");
-      const startTime = performance.now();
-
-      const filesData = await Promise.all(
-        this.selectedFiles.map(async (fileWrapper, index) => {
-          this.logger.debug(
-            `Converting file ${index + 1}/${this.selectedFiles.length}`,
-            {
-              name: fileWrapper.name
-            }
-          );
-          const base64 = await this.readFileAsBase64(fileWrapper.file);
-          return {
-            fileName: fileWrapper.name,
-            base64Data: base64,
-            contentType: fileWrapper.file.type
-          };
-        })
-      );
+      await this.uploadFileInChunks(entry, (bytesSent) => {
+        this.updateFileEntry(entry.id, {
+          progress: entry.size
+            ? Math.min(100, Math.round((bytesSent / entry.size) * 100))
+            : 100
+        });
+      });
+      this.updateFileEntry(entry.id, {
+        status: FILE_STATUS.DONE,
+        progress: 100,
+        isCancelling: false
+      });
+      this.logger.log("File uploaded", { fileName: entry.name });
+    } catch (error) {
+      if (error instanceof UploadCancelledError) {
+        this.updateFileEntry(entry.id, {
+          status: FILE_STATUS.CANCELLED,
+          progress: 0,
+          isCancelling: false
+        });
+        this.logger.log("File upload cancelled", { fileName: entry.name });
+        return;
+      }
+
+      this.logger.error("Chunked upload failed", {
+        fileName: entry.name,
+        error
+      });
+      this.updateFileEntry(entry.id, {
+        status: FILE_STATUS.FAILED,
+        isCancelling: false,
+        errorMessage:
+          error.body?.message ||
+          error.message ||
+          "An error occurred during upload."
+      });
+    } finally {
+      this.cancelRequestedIds.delete(entry.id);
+    }
+  }
+
+  /**
+   * Shows the success screen once every file that was not cancelled is uploaded.
+   */
+  finishUploadQueue() {
+    const uploaded = this.countFilesWithStatus(FILE_STATUS.DONE);
+    const failed = this.countFilesWithStatus(FILE_STATUS.FAILED);
+
+    if (uploaded > 0 && failed === 0 && !this.hasQueuedFiles) {
+      this.recordItemUploads();
+      this.recordReplacements();
+      this.filesUploadedCount = uploaded;
+      this.isValid = false;
+      this.isSuccess = true;
+      this.refreshStatusSummary();
+      this.logger.log("Upload completed successfully", {
+        filesUploaded: this.filesUploadedCount,
+        missingRequiredItems: this.missingRequiredItems.length
+      });
+    } else if (failed > 0) {
+      this.logger.warn("Upload finished with failures", { uploaded, failed });
+    }
+  }
+
+  /**
+   * Adds this session's uploads to the received count of each requested item,
+   * matching what the server recorded.
+   */
+  recordItemUploads() {
+    this.requestItems = this.requestItems.map((item) => {
+      const uploaded = this.selectedFiles.filter(
+        (entry) =>
+          entry.requestItemId === item.id && entry.status === FILE_STATUS.DONE
+      ).length;
+      return { ...item, fileCount: (item.fileCount || 0) + uploaded };
+    });
+  }
 
-      const conversionTime = performance.now() - startTime;
-      this.logger.log("Base64 conversion complete", {
-        timeMs: conversionTime.toFixed(2),
-        totalBase64Length: filesData.reduce(
-          (sum, f) => sum + f.base64Data.length,
-          0
+  /**
+   * Drops the returned files that were replaced in this session, matching what
+   * the server now reports.
+   */
+  recordReplacements() {
+    const replacedIds = new Set(
+      this.selectedFiles
+        .filter(
+          (entry) => entry.replacesFileId && entry.status === FILE_STATUS.DONE
         )
+        .map((entry) => entry.replacesFileId)
+    );
+    this.returnedFiles = this.returnedFiles.filter(
+      (returned) => !replacedIds.has(returned.id)
+    );
+  }
+
+  /**
+   * Uploads one file as a sequence of chunks, resuming a previous session for the
+   * same file when one was saved in localStorage.
+   */
+  async uploadFileInChunks(fileWrapper, onProgress) {
+    const file = fileWrapper.file;
+    const resumeKey = this.getResumeStorageKey(file);
+
+    this.throwIfCancelled(fileWrapper.id);
+    let session = await this.startServerUpload(
+      fileWrapper,
+      this.readResumeKey(resumeKey)
+    );
+
+    if (!session.success) {
+      throw new Error(session.errorMessage || "Upload failed.");
+    }
+    this.writeResumeKey(resumeKey, session.uploadKey);
+
+    if (session.nextChunkIndex > 0) {
+      this.logger.log("Resuming upload", {
+        fileName: fileWrapper.name,
+        nextChunkIndex: session.nextChunkIndex,
+        totalChunks: session.totalChunks
       });
+    }
 
-      this.logger.apiStart("uploadFiles", {
-        token: this.token.substring(0, 8) + "...",
-        fileCount: filesData.length,
-        fileNames: filesData.map((f) => f.fileName)
+    try {
+      session = await this.sendRemainingChunks(
+        fileWrapper.id,
+        file,
+        session,
+        onProgress
+      );
+    } catch (error) {
+      if (error instanceof UploadCancelledError) {
+        await this.cancelServerUpload(session.uploadKey);
+        this.clearResumeKey(resumeKey);
+      }
+      throw error;
+    }
+    onProgress(file.size);
+
+    session = await this.waitForAssembly(session);
+    this.clearResumeKey(resumeKey);
+    return session;
+  }
+
+  /**
+   * Starts or resumes the server upload session for a file, as a replacement
+   * when the file replaces a returned one.
+   */
+  async startServerUpload(fileWrapper, uploadKey) {
+    const file = fileWrapper.file;
+    const params = {
+      token: this.accessToken,
+      uploadKey,
+      fileName: fileWrapper.name,
+      contentType: file.type,
+      fileSize: file.size
+    };
+
+    if (fileWrapper.replacesFileId) {
+      this.logger.apiStart("startChunkedReplacementUpload", {
+        fileName: fileWrapper.name,
+        fileSize: file.size,
+        replacesFileId: fileWrapper.replacesFileId
+      });
+      const session = await startChunkedReplacementUpload({
+        ...params,
+        replacesFileId: fileWrapper.replacesFileId
       });
+      this.logger.apiSuccess("startChunkedReplacementUpload", session);
+      return session;
+    }
 
-      const result = await uploadFiles({
-        token: this.token,
-        filesJson: JSON.stringify(filesData)
+    this.logger.apiStart("startChunkedUpload", {
+      fileName: fileWrapper.name,
+      fileSize: file.size,
+      requestItemId: fileWrapper.requestItemId
+    });
+    const session = await startChunkedUpload({
+      ...params,
+      requestItemId: fileWrapper.requestItemId
+    });
+    this.logger.apiSuccess("startChunkedUpload", session);
+    return session;
+  }
+
+  /**
+   * Sends the chunks the server has not acknowledged yet, one after another,
+   * stopping before the next chunk if the file was cancelled.
+   */
+  async sendRemainingChunks(fileId, file, session, onProgress) {
+    if (
+      session.status !== "In_Progress" ||
+      session.nextChunkIndex >= session.totalChunks
+    ) {
+      return session;
+    }
+
+    this.throwIfCancelled(fileId);
+    const chunkIndex = session.nextChunkIndex;
+    const start = chunkIndex * session.chunkSizeBytes;
+    onProgress(start);
+
+    const base64Data = await this.readFileAsBase64(
+      file.slice(start, start + session.chunkSizeBytes)
+    );
+    const next = await this.sendChunkWithRetry(
+      session.uploadKey,
+      chunkIndex,
+      base64Data
+    );
+    return this.sendRemainingChunks(fileId, file, next, onProgress);
+  }
+
+  throwIfCancelled(fileId) {
+    if (this.cancelRequestedIds.has(fileId)) {
+      throw new UploadCancelledError("Upload cancelled.");
+    }
+  }
+
+  /**
+   * Tells the server to discard a cancelled upload. A failure here only leaves
+   * the session behind, so it is logged rather than shown.
+   */
+  async cancelServerUpload(uploadKey) {
+    try {
+      this.logger.apiStart("cancelChunkedUpload", { uploadKey });
+      const result = await cancelChunkedUpload({
+        token: this.accessToken,
+        uploadKey
       });
+      this.logger.apiSuccess("cancelChunkedUpload", result);
+    } catch (error) {
+      this.logger.apiError("cancelChunkedUpload", error);
+    }
+  }
 
-      this.logger.apiSuccess("uploadFiles", result);
+  /**
+   * Sends a chunk, retrying with backoff on network or server errors. The server
+   * acknowledges duplicates, so resending a chunk that did arrive is safe.
+   */
+  async sendChunkWithRetry(uploadKey, chunkIndex, base64Data, attempt = 1) {
+    try {
+      const result = await appendChunk({
+        token: this.accessToken,
+        uploadKey,
+        chunkIndex,
+        base64Data
+      });
+      this.logger.debug(`Chunk ${chunkIndex} sent`, {
+        attempt,
+        status: result.status,
+        nextChunkIndex: result.nextChunkIndex
+      });
 
       if (result.success) {
-        this.filesUploadedCount = result.filesUploaded;
-        this.isValid = false;
-        this.isSuccess = true;
-        this.logger.log("Upload completed successfully", {
-          filesUploaded: this.filesUploadedCount
-        });
-      } else {
-        this.validationError =
-          result.errorMessage || "Upload failed. Please try again.";
-        this.logger.warn("Upload returned failure", {
-          errorMessage: result.errorMessage
-        });
+        return result;
+      }
+      // Refused for good, e.g. the content does not match the file type
+      if (result.status === "Failed") {
+        return result;
+      }
+      // Out of order: continue from the chunk the server expects
+      if (
+        result.status === "In_Progress" &&
+        result.nextChunkIndex !== chunkIndex
+      ) {
+        return result;
       }
+      throw new Error(result.errorMessage || "Upload failed.");
     } catch (error) {
-      this.logger.apiError("uploadFiles", error);
-      this.validationError =
-        error.body?.message || "An error occurred during upload.";
-    } finally {
-      this.isUploading = false;
-      this.logCurrentState();
+      this.logger.warn(`Chunk ${chunkIndex} failed`, { attempt, error });
+      if (attempt >= CHUNK_MAX_ATTEMPTS) {
+        throw error;
+      }
+      await this.delay(CHUNK_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+      return this.sendChunkWithRetry(
+        uploadKey,
+        chunkIndex,
+        base64Data,
+        attempt + 1
+      );
+    }
+  }
+
+  /**
+   * Polls until the server has assembled the uploaded chunks into a file.
+   */
+  async waitForAssembly(session, attempt = 0) {
+    if (session.status === "Completed") {
+      return session;
+    }
+    if (session.status !== "Assembling") {
+      throw new Error(session.errorMessage || "Upload failed.");
+    }
+    if (attempt >= STATUS_POLL_MAX_ATTEMPTS) {
+      throw new Error("The file is still being processed. Please try again.");
+    }
+
+    await this.delay(STATUS_POLL_INTERVAL_MS);
+    const current = await getUploadStatus({
+      token: this.accessToken,
+      uploadKey: session.uploadKey
+    });
+    this.logger.debug("Assembly status", { status: current.status });
+    return this.waitForAssembly(current, attempt + 1);
+  }
+
+  delay(ms) {
+    return new Promise((resolve) => {
+      // eslint-disable-next-line @lwc/lwc/no-async-operation
+      setTimeout(resolve, ms);
+    });
+  }
+
+  getResumeStorageKey(file) {
+    return `${RESUME_STORAGE_PREFIX}${this.token}:${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  readResumeKey(storageKey) {
+    try {
+      return window.localStorage.getItem(storageKey);
+    } catch (error) {
+      this.logger.warn("localStorage unavailable", error);
+      return null;
+    }
+  }
+
+  writeResumeKey(storageKey, uploadKey) {
+    try {
+      window.localStorage.setItem(storageKey, uploadKey);
+    } catch (error) {
+      this.logger.warn("localStorage unavailable", error);
+    }
+  }
+
+  clearResumeKey(storageKey) {
+    try {
+      window.localStorage.removeItem(storageKey);
+    } catch (error) {
+      this.logger.warn("localStorage unavailable", error);
+    }
+  }
+
+  getSessionStorageKey() {
+    return `${VERIFIED_SESSION_STORAGE_PREFIX}${this.token}`;
+  }
+
+  readSessionToken() {
+    try {
+      return window.sessionStorage.getItem(this.getSessionStorageKey());
+    } catch (error) {
+      this.logger.warn("sessionStorage unavailable", error);
+      return null;
+    }
+  }
+
+  writeSessionToken(sessionToken) {
+    try {
+      window.sessionStorage.setItem(this.getSessionStorageKey(), sessionToken);
+    } catch (error) {
+      this.logger.warn("sessionStorage unavailable", error);
+    }
+  }
+
+  clearSessionToken() {
+    this.sessionToken = null;
+    try {
+      window.sessionStorage.removeItem(this.getSessionStorageKey());
+    } catch (error) {
+      this.logger.warn("sessionStorage unavailable", error);
     }
   }
 
@@ -320,12 +1640,100 @@ export default class GuestDocumentUpload extends LightningElement {
     });
   }
 
+  /**
+   * Gets the key lightning-file-upload saves the next large file with. The
+   * file goes straight into Salesforce Files and the server adds it to the
+   * request, so it never passes through the chunk queue.
+   */
+  async prepareLargeFileUpload() {
+    try {
+      this.logger.apiStart("startDirectUpload", {
+        requestItemId: this.largeFileItemId
+      });
+      const result = await startDirectUpload({
+        token: this.accessToken,
+        uploadKey: this.largeFileUploadKey,
+        requestItemId: this.largeFileItemId
+      });
+      this.logger.apiSuccess("startDirectUpload", result);
+      this.largeFileUploadKey = result.success ? result.uploadKey : null;
+      this.largeFileError = result.success ? null : result.errorMessage;
+    } catch (error) {
+      this.logger.apiError("startDirectUpload", error);
+      this.largeFileUploadKey = null;
+      this.largeFileError =
+        error.body?.message || "Large files cannot be uploaded right now.";
+    }
+  }
+
+  handleLargeFileItemChange(event) {
+    this.largeFileItemId = event.detail.value || null;
+    this.logger.action("handleLargeFileItemChange", {
+      requestItemId: this.largeFileItemId
+    });
+    this.prepareLargeFileUpload();
+  }
+
+  /**
+   * Lists a large file lightning-file-upload has saved as uploaded, with the
+   * size the server recorded, and gets a key for the next one. Files the
+   * server refused are reported by lightning-file-upload itself.
+   */
+  async handleLargeFileUploaded(event) {
+    const uploadKey = this.largeFileUploadKey;
+    const [uploaded] = event.detail.files;
+    this.logger.action("handleLargeFileUploaded", {
+      fileName: uploaded?.name
+    });
+    this.largeFileUploadKey = null;
+
+    try {
+      const session = await getUploadStatus({
+        token: this.accessToken,
+        uploadKey
+      });
+      if (session.status === "Completed") {
+        this.nextFileId += 1;
+        this.selectedFiles = [
+          ...this.selectedFiles,
+          this.decorateFileEntry({
+            id: `file-${this.nextFileId}`,
+            name: uploaded.name,
+            size: session.fileSize,
+            sizeDisplay: this.formatFileSize(session.fileSize),
+            originalSizeDisplay: null,
+            sourceKey: `large:${uploaded.contentVersionId}`,
+            file: null,
+            requestItemId: this.largeFileItemId,
+            replacesFileId: null,
+            status: FILE_STATUS.DONE,
+            progress: 100,
+            errorMessage: null,
+            isCancelling: false
+          })
+        ];
+      }
+    } catch (error) {
+      this.logger.apiError("getUploadStatus", error);
+    }
+
+    await this.prepareLargeFileUpload();
+    if (!this.isUploading) {
+      this.finishUploadQueue();
+    }
+  }
+
   handleUploadMore() {
     this.logger.action("handleUploadMore");
     this.isSuccess = false;
     this.isValid = true;
     this.selectedFiles = [];
-    this.validationError = null;
+    this.rejectedFiles = [];
+    this.mergeError = null;
+    this.cancelRequestedIds.clear();
+    if (this.allowsLargeFiles && !this.largeFileUploadKey) {
+      this.prepareLargeFileUpload();
+    }
     this.logCurrentState();
   }
 
@@ -335,11 +1743,19 @@ export default class GuestDocumentUpload extends LightningElement {
       isValid: this.isValid,
       isInvalid: this.isInvalid,
       isExpired: this.isExpired,
+      isRateLimited: this.isRateLimited,
+      isVerificationRequired: this.isVerificationRequired,
       isUploading: this.isUploading,
+      isPreparingFiles: this.isPreparingFiles,
       isSuccess: this.isSuccess,
       tokenPresent: !!this.token,
+      sessionPresent: !!this.sessionToken,
       selectedFilesCount: this.selectedFiles.length,
-      validationError: this.validationError
+      fileStatuses: this.selectedFiles.map((entry) => entry.status),
+      rejectedFilesCount: this.rejectedFiles.length,
+      requestItemCount: this.requestItems.length,
+      returnedFileCount: this.returnedFiles.length,
+      status: this.statusSummary?.status
     });
   }
 }